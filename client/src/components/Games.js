@@ -4,6 +4,10 @@ const ENDPOINT = "http://localhost:5000";
 
 function Games({ location }) {
 	const [sorted, setSorted] = useState([]);
+  const [gameId, setGameId] = useState(null);
+  const [seasons, setSeasons] = useState([]);
+  const [season, setSeason] = useState("");
+  const [standings, setStandings] = useState([]);
 
   useEffect(() => {
     const path = location.pathname.slice(1);
@@ -13,6 +17,7 @@ function Games({ location }) {
 
     socket.on('updateScore', data => {
       console.log(data);
+      setGameId(data._id);
       // Sort by xp points
       setSorted(Array.from(data.players).sort((a, b) => a.xp > b.xp ? -1 : 1));
     });
@@ -21,17 +26,56 @@ function Games({ location }) {
     return () => socket.disconnect();
   }, []);
 
+  // Load the seasons once the game is known
+  useEffect(() => {
+    if (!gameId) return;
+
+    fetch(`/api/seasons/game/${gameId}`)
+      .then(res => res.json())
+      .then(data => setSeasons(data.filter(s => new Date(s.start) <= new Date())))
+      .catch(err => console.log(err.message));
+  }, [gameId]);
+
+  // Current and past season standings come from the API, all-time standings from the socket
+  useEffect(() => {
+    if (!season) {
+      setStandings([]);
+      return;
+    }
+
+    fetch(`/api/seasons/${season}/standings`)
+      .then(res => res.json())
+      .then(data => setStandings(data.standings))
+      .catch(err => console.log(err.message));
+  }, [season]);
+
 	return (
 		<>
       <h1>Leaderboards - {location.pathname.slice(1).toUpperCase()}</h1>
-      {sorted.map((player, index) => (
-        <Fragment key={index}>
-          <p><span className="username">{player.user.username}</span> : {player.xp} xp</p>
-        </Fragment>
-      ))}
+      {seasons.length > 0 && (
+        <select value={season} onChange={e => setSeason(e.target.value)}>
+          <option value="">All time</option>
+          {seasons.map(s => (
+            <option key={s._id} value={s._id}>{s.name}{s.isArchived ? '' : ' (current)'}</option>
+          ))}
+        </select>
+      )}
+      {season
+        ? standings.map(row => (
+          <Fragment key={row.rank}>
+            <p>{row.rank}. <span className="username">{row.user.username}</span> : {row.xp} xp</p>
+          </Fragment>
+        ))
+        : sorted.map((player, index) => (
+          <Fragment key={index}>
+            <p>
+              <span className="username">{player.user.username}</span> : {player.xp} xp
+              {player.teamWins + player.teamLosses + player.teamDraws > 0 && ` (teams: ${player.teamWins}W ${player.teamLosses}L ${player.teamDraws}D)`}
+            </p>
+          </Fragment>
+        ))}
     </>
 	)
 }
 
 export default Games
-
@@ -1,4 +1,10 @@
+const config = require('config');
+
 const Result = require('./models/Result');
+const { rateMatch } = require('./lib/rating');
+
+// Optional settings from config/default.json
+const getSetting = (key, fallback) => (config.has(key) ? config.get(key) : fallback);
 
 const isInArray = (arr, id) => {
   let exists = false;
@@ -6,23 +12,168 @@ const isInArray = (arr, id) => {
   return exists;
 };
 
-const createResult = async (players, match, game) => {
-  try {
-    const result = new Result({
-      players,
-      match,
-      game,
+// Team results are added when the teams of the match are passed in, session saves the result in a transaction
+const createResult = async (players, match, game, teams = [], { session } = {}) => {
+  const standings = getTeamStandings(players, teams);
+  const winners = standings.filter(standing => standing.rank === 1);
+
+  const result = new Result({
+    players,
+    teams: standings,
+    winningTeam: standings.length > 1 && winners.length === 1 ? winners[0].team : undefined,
+    match,
+    game,
+  });
+
+  await result.save({ session });
+
+  return result;
+};
+
+// Requests made with a game API key can only touch that game
+const isKeyForGame = (req, game) => !req.apiKey || req.apiKey.game === game.toString();
+
+const findScoringRule = (scoring, item) => scoring.find(rule => rule.item === item.toLowerCase());
+
+// Returns the points a player earns for an item, or null once the per-match cap is reached
+const scoreItem = (rule, player) => {
+  const scored = player.items.get(rule.item) || 0;
+
+  if (rule.maxPerMatch && scored >= rule.maxPerMatch) return null;
+
+  return Math.round(rule.points * rule.multiplier);
+};
+
+// Team totals are the sum of the member scores, teams with the same total share the rank
+const getTeamStandings = (players, teams) => {
+  const standings = teams.map(team => {
+    const members = team.members.map(({ user }) => {
+      const player = players.find(p => p.user.toString() === user.toString());
+      return { user, xp: player ? Number(player.xp) : 0 };
     });
 
-    await result.save();
+    return {
+      team: team._id,
+      name: team.name,
+      xp: members.reduce((total, member) => total + member.xp, 0),
+      members,
+    };
+  });
+
+  standings.forEach(standing => {
+    standing.rank = standings.filter(other => other.xp > standing.xp).length + 1;
+  });
+
+  return standings.sort((a, b) => a.rank - b.rank);
+};
+
+// Returns the record field (wins, losses or draws) the team standing counts towards
+const getTeamOutcome = (result, standing) => {
+  if (standing.rank > 1) return 'losses';
+  return result.winningTeam ? 'wins' : 'draws';
+};
+
+// Rebuilds the score of every player from the match events
+const replayEvents = (players, events) => {
+  const scores = players.map(({ user }) => ({ user, xp: 0, items: {} }));
+
+  events.forEach(({ player, item, points }) => {
+    let score = scores.find(s => s.user.toString() === player.toString());
+
+    // Players that have since left the match
+    if (!score) {
+      score = { user: player, xp: 0, items: {} };
+      scores.push(score);
+    }
+
+    score.xp += points;
+    score.items[item] = (score.items[item] || 0) + 1;
+  });
+
+  return scores;
+};
+
+// Players without a team play for themselves
+const getSide = (teams, userId) => {
+  const team = teams.find(t => isInArray(t.members, userId.toString()));
+  return team ? team.id : userId.toString();
+};
+
+// Returns the ids of the players on the side(s) with the highest total score
+const getWinners = (resultPlayers, teams) => {
+  const totals = {};
+
+  resultPlayers.forEach(({ user, xp }) => {
+    const side = getSide(teams, user);
+    totals[side] = (totals[side] || 0) + xp;
+  });
+
+  // Nobody wins a match without opponents
+  if (Object.keys(totals).length < 2) return [];
+
+  const best = Math.max(...Object.values(totals));
+
+  return resultPlayers
+    .filter(({ user }) => totals[getSide(teams, user)] === best)
+    .map(({ user }) => user.toString());
+};
+
+// Returns the place of every player - players on the same side, or with the same score, share the place
+const getPlacements = (resultPlayers, teams) => {
+  const totals = {};
+
+  resultPlayers.forEach(({ user, xp }) => {
+    const side = getSide(teams, user);
+    totals[side] = (totals[side] || 0) + xp;
+  });
+
+  const placements = {};
+
+  resultPlayers.forEach(({ user }) => {
+    const total = totals[getSide(teams, user)];
+    placements[user.toString()] = Object.values(totals).filter(other => other > total).length + 1;
+  });
+
+  return placements;
+};
+
+// Recalculates the ratings of the game players from the final match result
+const updateRatings = (game, resultPlayers, teams, match) => {
+  const participants = resultPlayers
+    .map(({ user, xp }) => {
+      const player = game.players.find(p => p.user.toString() === user.toString());
+      if (!player) return null;
+
+      return {
+        user: user.toString(),
+        side: getSide(teams, user),
+        score: xp,
+        rating: player.rating,
+        deviation: player.deviation,
+      };
+    })
+    .filter(participant => participant);
+
+  rateMatch(participants).forEach(({ user, rating, deviation }) => {
+    const player = game.players.find(p => p.user.toString() === user);
 
-    return result;
-  } catch (err) {
-    console.error(err);
-  }
+    player.rating = rating;
+    player.deviation = deviation;
+    player.ratingHistory.push({ match, rating, deviation });
+  });
 };
 
 module.exports = {
+  getSetting,
   isInArray,
+  isKeyForGame,
   createResult,
+  getTeamStandings,
+  getTeamOutcome,
+  findScoringRule,
+  scoreItem,
+  getWinners,
+  getPlacements,
+  updateRatings,
+  replayEvents,
 };
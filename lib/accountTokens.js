@@ -0,0 +1,56 @@
+const jwt = require('jsonwebtoken');
+const config = require('config');
+
+const AccountToken = require('../models/AccountToken');
+
+const getSetting = require('../helpers').getSetting;
+
+// Lifetimes in seconds
+const EXPIRY = {
+  'verify-email': () => getSetting('verifyEmailTokenExpiry', 24 * 3600),
+  'reset-password': () => getSetting('resetPasswordTokenExpiry', 3600),
+};
+
+// Creates a token for the user - older unused tokens with the same purpose stop working
+const issue = async (user, purpose) => {
+  const expiresIn = EXPIRY[purpose]();
+
+  await AccountToken.updateMany({ user: user.id, purpose, used: null }, { used: Date.now() });
+
+  const accountToken = new AccountToken({
+    user: user.id,
+    purpose,
+    email: user.email,
+    expires: new Date(Date.now() + expiresIn * 1000),
+  });
+
+  await accountToken.save();
+
+  return jwt.sign({ token: { id: accountToken.id, purpose } }, config.get('jwtSecret'), { expiresIn });
+};
+
+// Checks the signature, expiry and purpose and marks the token as used.
+// Returns the token document, or null if the token is not valid or was already used.
+const consume = async (token, purpose) => {
+  let payload;
+
+  try {
+    payload = jwt.verify(token, config.get('jwtSecret'));
+  } catch (err) {
+    return null;
+  }
+
+  if (!payload.token || payload.token.purpose !== purpose) return null;
+
+  // Only one request can mark the token as used
+  return AccountToken.findOneAndUpdate(
+    { _id: payload.token.id, purpose, used: null, expires: { $gt: Date.now() } },
+    { used: Date.now() },
+    { new: true },
+  );
+};
+
+module.exports = {
+  issue,
+  consume,
+};
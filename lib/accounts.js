@@ -0,0 +1,80 @@
+const AccountToken = require('../models/AccountToken');
+const Clan = require('../models/Clan');
+const Game = require('../models/Game');
+const Invite = require('../models/Invite');
+const Match = require('../models/Match');
+const MatchEvent = require('../models/MatchEvent');
+const Session = require('../models/Session');
+const Team = require('../models/Team');
+const Ticket = require('../models/Ticket');
+const Tournament = require('../models/Tournament');
+const User = require('../models/User');
+const UserAchievement = require('../models/UserAchievement');
+
+const { revokeAll } = require('./session');
+const { OPEN_STATUSES, leaveTeams, disbandClan } = require('./membership');
+
+// Clans pass to an officer, or the longest standing member - clans without other members are removed
+const leaveClans = async userId => {
+  const clans = await Clan.find({ 'members.user': userId });
+
+  for (let i = 0; i < clans.length; i++) {
+    const clan = clans[i];
+    const others = clan.members.filter(member => member.user.toString() !== userId);
+
+    if (others.length === 0) {
+      await disbandClan(clan);
+      continue;
+    }
+
+    if (clan.owner.toString() === userId) {
+      const heir = others.find(member => member.role === 'officer') || others.sort((a, b) => a.date - b.date)[0];
+
+      heir.role = 'owner';
+      clan.owner = heir.user;
+    }
+
+    clan.members = others;
+    await clan.save();
+  }
+
+  await Clan.updateMany({}, { $pull: { invitations: { user: userId }, requests: { user: userId } } });
+};
+
+// Deletes the user and their memberships. Games have to be deleted by the developer first, so
+// the caller checks the user has none.
+const deleteAccount = async userId => {
+  // Open matches hosted by the user are removed with their teams, the user leaves the others
+  const hosted = await Match.find({ host: userId, status: { $in: OPEN_STATUSES } }).select('_id');
+  const hostedIds = hosted.map(match => match._id);
+
+  await Team.deleteMany({ match: { $in: hostedIds } });
+  await MatchEvent.deleteMany({ match: { $in: hostedIds } });
+  await Match.deleteMany({ _id: { $in: hostedIds } });
+  await Invite.deleteMany({ $or: [{ match: { $in: hostedIds } }, { createdBy: userId }] });
+
+  const joined = await Match.find({ 'players.user': userId, status: { $in: OPEN_STATUSES } }).select('_id');
+
+  await leaveTeams(userId, joined.map(match => match._id));
+  await Match.updateMany({ _id: { $in: joined.map(match => match._id) } }, { $pull: { players: { user: userId } } });
+
+  await leaveClans(userId);
+
+  // Tournaments that haven't started yet
+  await Tournament.deleteMany({ organizer: userId, status: 'registration' });
+  await Tournament.updateMany({ status: 'registration' }, { $pull: { participants: { user: userId } } });
+
+  await Game.updateMany({ 'players.user': userId }, { $pull: { players: { user: userId } } });
+  await Ticket.deleteMany({ user: userId });
+  await UserAchievement.deleteMany({ user: userId });
+
+  await revokeAll(userId);
+  await Session.deleteMany({ user: userId });
+  await AccountToken.deleteMany({ user: userId });
+
+  await User.deleteOne({ _id: userId });
+};
+
+module.exports = {
+  deleteAccount,
+};
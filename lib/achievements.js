@@ -0,0 +1,116 @@
+const Achievement = require('../models/Achievement');
+const UserAchievement = require('../models/UserAchievement');
+
+const { emitToUser, emitToGame } = require('./socket');
+
+// Stores the achievement for the user and broadcasts it, returns false if it was already unlocked
+const unlock = async (game, userId, achievement, matchId) => {
+  const { upserted } = await UserAchievement.updateOne(
+    { user: userId, achievement: achievement.id },
+    { $setOnInsert: { game: game.id, match: matchId, date: Date.now() } },
+    { upsert: true },
+  );
+
+  if (!upserted) return false;
+
+  const payload = {
+    user: userId.toString(),
+    game: game.id,
+    achievement: {
+      _id: achievement.id,
+      key: achievement.key,
+      name: achievement.name,
+      description: achievement.description,
+    },
+  };
+
+  emitToUser(userId, 'achievementUnlocked', payload);
+  emitToGame(game.name, 'achievementUnlocked', payload);
+
+  return true;
+};
+
+// Skips achievements the users already have
+const lockedAchievements = async (achievements, userIds) => {
+  const unlocked = await UserAchievement.find({
+    user: { $in: userIds },
+    achievement: { $in: achievements.map(achievement => achievement.id) },
+  }).select(['user', 'achievement']);
+
+  return (userId, achievement) => !unlocked.some(u => u.user.toString() === userId.toString() && u.achievement.toString() === achievement.id);
+};
+
+// Checked after every scored item - counts the item over all stopped matches plus the running match
+const checkItem = async (game, match, userId, item) => {
+  const achievements = await Achievement.find({ game: game.id, 'rule.type': 'item', 'rule.item': item });
+  if (achievements.length === 0) return [];
+
+  const gamePlayer = game.players.find(p => p.user.toString() === userId.toString());
+  const matchPlayer = match.players.find(p => p.user.toString() === userId.toString());
+
+  const count = ((gamePlayer && gamePlayer.items.get(item)) || 0) + (matchPlayer.items.get(item) || 0);
+  const isLocked = await lockedAchievements(achievements, [userId]);
+
+  const unlocked = [];
+
+  for (let i = 0; i < achievements.length; i++) {
+    if (isLocked(userId, achievements[i]) && count >= achievements[i].rule.threshold) {
+      if (await unlock(game, userId, achievements[i], match.id)) unlocked.push(achievements[i]);
+    }
+  }
+
+  return unlocked;
+};
+
+// Checked when a match is stopped, after the game stats of the players are updated
+const checkMatch = async (game, match, resultPlayers, placements) => {
+  const achievements = await Achievement.find({ game: game.id });
+  if (achievements.length === 0) return [];
+
+  const userIds = resultPlayers.map(({ user }) => user.toString());
+  const isLocked = await lockedAchievements(achievements, userIds);
+  const isTeamMatch = match.teams.length > 0;
+
+  const unlocked = [];
+
+  for (let i = 0; i < userIds.length; i++) {
+    const player = game.players.find(p => p.user.toString() === userIds[i]);
+    if (!player) continue;
+
+    for (let j = 0; j < achievements.length; j++) {
+      const { rule } = achievements[j];
+      let reached = false;
+
+      switch (rule.type) {
+        case 'item':
+          reached = (player.items.get(rule.item) || 0) >= rule.threshold;
+          break;
+        case 'wins':
+          reached = player.wins >= rule.threshold;
+          break;
+        case 'matches':
+          reached = player.matches >= rule.threshold;
+          break;
+        case 'xp':
+          reached = player.xp >= rule.threshold;
+          break;
+        case 'placement':
+          reached = (!rule.teamMatch || isTeamMatch) && placements[userIds[i]] <= rule.place;
+          break;
+        default:
+          break;
+      }
+
+      if (reached && isLocked(userIds[i], achievements[j])) {
+        if (await unlock(game, userIds[i], achievements[j], match.id)) unlocked.push({ user: userIds[i], achievement: achievements[j] });
+      }
+    }
+  }
+
+  return unlocked;
+};
+
+module.exports = {
+  checkItem,
+  checkMatch,
+};
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const Game = require('../models/Game');
+const Match = require('../models/Match');
+const MatchEvent = require('../models/MatchEvent');
+const Result = require('../models/Result');
+
+// Points the player scored in the last window seconds, voided scores don't count
+const recentPoints = async (match, playerId, window) => {
+  const [recent] = await MatchEvent.aggregate([
+    {
+      $match: {
+        match: mongoose.Types.ObjectId(match.id),
+        player: mongoose.Types.ObjectId(playerId.toString()),
+        date: { $gte: new Date(Date.now() - window * 1000) },
+        'flag.status': { $ne: 'voided' },
+      },
+    },
+    { $group: { _id: null, points: { $sum: '$points' } } },
+  ]);
+
+  return recent ? recent.points : 0;
+};
+
+const matchViolation = maxPointsPerMatch => ({ status: 400, reason: `More than ${maxPointsPerMatch} points in a match` });
+const rateViolation = maxPointsPerSecond => ({ status: 429, reason: `More than ${maxPointsPerSecond} points per second` });
+
+// Checks the points against the limits of the game.
+// Returns { status, reason } for a score that breaks a limit, null for a plausible one.
+const checkScore = async (game, match, player, points) => {
+  const { maxPointsPerSecond, window, maxPointsPerMatch } = game.antiCheat || {};
+
+  if (maxPointsPerMatch && player.xp + points > maxPointsPerMatch) {
+    return matchViolation(maxPointsPerMatch);
+  }
+
+  if (maxPointsPerSecond && (await recentPoints(match, player.user, window) + points) / window > maxPointsPerSecond) {
+    return rateViolation(maxPointsPerSecond);
+  }
+
+  return null;
+};
+
+// Checks the saved score of the player again - plays scored at the same time all pass checkScore, but the
+// last of them to get here counts the others
+const recheckScore = async (game, match, player) => {
+  const { maxPointsPerSecond, window, maxPointsPerMatch } = game.antiCheat || {};
+
+  if (maxPointsPerMatch && player.xp > maxPointsPerMatch) {
+    return matchViolation(maxPointsPerMatch);
+  }
+
+  if (maxPointsPerSecond && await recentPoints(match, player.user, window) / window > maxPointsPerSecond) {
+    return rateViolation(maxPointsPerSecond);
+  }
+
+  return null;
+};
+
+// Sets the review of a flagged event if its status is still one of from - returns null when another review
+// got there first
+const review = (event, status, reviewerId, from) => MatchEvent.findOneAndUpdate(
+  { _id: event.id, 'flag.status': { $in: from } },
+  { 'flag.status': status, 'flag.reviewedBy': reviewerId, 'flag.reviewed': Date.now() },
+  { new: true },
+);
+
+// Takes the points of the event back from the running score, and from the result and the game totals
+// if the match is completed. Wins, team standings and ratings of completed matches stay as they are.
+// The event is claimed before the points are taken back, so they are only taken back once.
+const voidEvent = async (event, reviewerId) => {
+  const voided = await review(event, 'voided', reviewerId, ['pending', 'approved']);
+  if (!voided) return null;
+
+  const inc = { 'players.$.xp': -event.points, [`players.$.items.${event.item}`]: -1 };
+
+  const match = await Match.findOneAndUpdate({ _id: event.match, 'players.user': event.player }, { $inc: inc });
+
+  if (match && match.status === 'completed') {
+    await Result.updateOne({ _id: match.result, 'players.user': event.player }, { $inc: { 'players.$.xp': -event.points } });
+    await Game.updateOne({ _id: event.game, 'players.user': event.player }, { $inc: inc });
+  }
+
+  return voided;
+};
+
+const approveEvent = (event, reviewerId) => review(event, 'approved', reviewerId, ['pending']);
+
+module.exports = {
+  checkScore,
+  recheckScore,
+  voidEvent,
+  approveEvent,
+};
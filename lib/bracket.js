@@ -0,0 +1,231 @@
+// Builds and advances tournament brackets. Brackets are a list of nodes, one per match:
+//   key         unique key of the node (W1-0 = winners bracket, round 1, first match)
+//   a, b        participants in the two slots, null for an empty slot (bye)
+//   expects     number of slots filled by earlier nodes
+//   resolved    number of those slots already decided
+//   winnerTo    { key, slot } the winner moves to, null for the final
+//   loserTo     { key, slot } the loser drops to in double elimination
+// Participants are passed in sorted by seed and are never compared, so any id type works.
+
+const nextPowerOfTwo = n => Math.pow(2, Math.ceil(Math.log2(Math.max(n, 2))));
+
+// Standard seeding - the best seeds only meet in the last rounds (8 players: 1-8, 4-5, 2-7, 3-6)
+const seedOrder = size => {
+  let order = [1, 2];
+
+  while (order.length < size) {
+    const sum = order.length * 2 + 1;
+    order = order.reduce((next, seed) => next.concat([seed, sum - seed]), []);
+  }
+
+  return order;
+};
+
+const createNode = (key, bracket, round, position) => ({
+  key,
+  bracket,
+  round,
+  position,
+  a: null,
+  b: null,
+  expects: 0,
+  resolved: 0,
+  winnerTo: null,
+  loserTo: null,
+  winner: null,
+  loser: null,
+  status: 'pending',
+});
+
+const link = (from, field, to, slot) => {
+  from[field] = { key: to.key, slot };
+  to.expects += 1;
+};
+
+// Winners bracket - returns the rounds of nodes
+const buildWinners = (participants, size) => {
+  const rounds = [];
+  const order = seedOrder(size);
+
+  for (let round = 1, count = size / 2; count >= 1; round++, count /= 2) {
+    const nodes = [];
+
+    for (let i = 0; i < count; i++) {
+      const node = createNode(`W${round}-${i}`, 'winners', round, i);
+
+      if (round === 1) {
+        node.a = participants[order[i * 2] - 1] || null;
+        node.b = participants[order[i * 2 + 1] - 1] || null;
+      } else {
+        link(rounds[round - 2][i * 2], 'winnerTo', node, 'a');
+        link(rounds[round - 2][i * 2 + 1], 'winnerTo', node, 'b');
+      }
+
+      nodes.push(node);
+    }
+
+    rounds.push(nodes);
+  }
+
+  return rounds;
+};
+
+const singleElimination = participants => {
+  const rounds = buildWinners(participants, nextPowerOfTwo(participants.length));
+  return rounds.reduce((nodes, round) => nodes.concat(round), []);
+};
+
+// Losers of the winners bracket drop into the losers bracket, the grand final is a single match
+// between the winners of both brackets
+const doubleElimination = participants => {
+  const size = Math.max(nextPowerOfTwo(participants.length), 4);
+  const winners = buildWinners(participants, size);
+  const losers = [];
+
+  // Losers round 1 pairs up the losers of winners round 1
+  const first = [];
+
+  for (let i = 0; i < size / 4; i++) {
+    const node = createNode(`L1-${i}`, 'losers', 1, i);
+
+    link(winners[0][i * 2], 'loserTo', node, 'a');
+    link(winners[0][i * 2 + 1], 'loserTo', node, 'b');
+
+    first.push(node);
+  }
+
+  losers.push(first);
+
+  // Even rounds take in the losers of the next winners round, odd rounds halve the bracket
+  for (let round = 2; round <= 2 * (winners.length - 1); round++) {
+    const previous = losers[round - 2];
+    const nodes = [];
+
+    if (round % 2 === 0) {
+      const dropping = winners[round / 2];
+
+      previous.forEach((from, i) => {
+        const node = createNode(`L${round}-${i}`, 'losers', round, i);
+
+        link(from, 'winnerTo', node, 'a');
+        // Reversed so players don't meet the same opponent again straight away
+        link(dropping[dropping.length - 1 - i], 'loserTo', node, 'b');
+
+        nodes.push(node);
+      });
+    } else {
+      for (let i = 0; i < previous.length / 2; i++) {
+        const node = createNode(`L${round}-${i}`, 'losers', round, i);
+
+        link(previous[i * 2], 'winnerTo', node, 'a');
+        link(previous[i * 2 + 1], 'winnerTo', node, 'b');
+
+        nodes.push(node);
+      }
+    }
+
+    losers.push(nodes);
+  }
+
+  const final = createNode('F1-0', 'final', 1, 0);
+
+  link(winners[winners.length - 1][0], 'winnerTo', final, 'a');
+  link(losers[losers.length - 1][0], 'winnerTo', final, 'b');
+
+  return []
+    .concat(...winners)
+    .concat(...losers)
+    .concat(final);
+};
+
+// Circle method - everyone plays everyone once, a null opponent means a bye that round
+const roundRobin = participants => {
+  const players = participants.length % 2 === 0 ? [...participants] : [...participants, null];
+  const nodes = [];
+
+  for (let round = 1; round < players.length; round++) {
+    for (let i = 0; i < players.length / 2; i++) {
+      const a = players[i];
+      const b = players[players.length - 1 - i];
+
+      if (a !== null && b !== null) {
+        const node = createNode(`R${round}-${i}`, 'round-robin', round, i);
+
+        node.a = a;
+        node.b = b;
+        node.status = 'ready';
+
+        nodes.push(node);
+      }
+    }
+
+    // Keep the first player in place and rotate the rest
+    players.splice(1, 0, players.pop());
+  }
+
+  return nodes;
+};
+
+const findNode = (nodes, key) => nodes.find(node => node.key === key);
+
+// Marks the node as completed and moves the participants on.
+// Returns the nodes that now have both participants and need a match.
+const advance = (nodes, node, winner, loser) => {
+  node.winner = winner;
+  node.loser = loser;
+  node.status = winner || loser ? 'completed' : 'bye';
+
+  const ready = [];
+
+  [[node.winnerTo, winner], [node.loserTo, loser]].forEach(([to, participant]) => {
+    if (!to || !to.key) return;
+
+    const target = findNode(nodes, to.key);
+
+    target[to.slot] = participant;
+    target.resolved += 1;
+
+    ready.push(...settle(nodes, target));
+  });
+
+  return ready;
+};
+
+// Checks if a node has all its participants - nodes with a single participant advance it automatically
+const settle = (nodes, node) => {
+  if (node.status !== 'pending' || node.resolved < node.expects) return [];
+
+  if (node.a && node.b) {
+    node.status = 'ready';
+    return [node];
+  }
+
+  return advance(nodes, node, node.a || node.b, null);
+};
+
+// Settles the first round, returns the nodes that need a match
+const start = (nodes, format) => {
+  if (format === 'round-robin') return nodes.filter(node => node.round === 1);
+
+  return nodes
+    .filter(node => node.expects === 0)
+    .reduce((ready, node) => ready.concat(settle(nodes, node)), []);
+};
+
+const build = (format, participants) => {
+  switch (format) {
+    case 'double-elimination':
+      return doubleElimination(participants);
+    case 'round-robin':
+      return roundRobin(participants);
+    default:
+      return singleElimination(participants);
+  }
+};
+
+module.exports = {
+  seedOrder,
+  build,
+  start,
+  advance,
+};
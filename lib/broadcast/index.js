@@ -0,0 +1,185 @@
+const os = require('os');
+
+const Game = require('../../models/Game');
+const User = require('../../models/User');
+
+const getSetting = require('../../helpers').getSetting;
+
+const { emitToGame } = require('../socket');
+
+const createMemoryAdapter = require('./memory');
+const createMongoAdapter = require('./mongo');
+
+const ADAPTERS = {
+  memory: createMemoryAdapter,
+  mongo: createMongoAdapter,
+};
+
+// Fields sent with the updateScore event
+const leaderboardFields = ['name', 'players.user', 'players.xp', 'players.rating', 'players.deviation', 'players.teamWins', 'players.teamLosses', 'players.teamDraws'];
+
+// Loads the game as it is sent with the updateScore event, null if there is nothing to show
+const loadScores = async gameId => {
+  const game = await Game.findOne({ _id: gameId }).select(leaderboardFields).populate('players.user', 'username', User);
+  if (!game || game.players.length === 0 || !game.populated('players.user')) return null;
+
+  return game;
+};
+
+const emitScores = game => emitToGame(game.name, 'updateScore', game);
+
+// Only changes that can move the leaderboard
+const pipeline = [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }];
+
+// The stored token can't be resumed from - it is invalid, or fell out of the oplog
+const LOST_TOKEN_CODES = [260, 280, 286, 40585];
+
+// One change stream consumer for the process. Changes to a game within the wait are merged into a single
+// update, so the leaderboard is loaded once and emitted to the game room however many sockets follow it.
+// Every instance consumes the stream under its own name and emits to its own sockets, and the adapter stores
+// where each one stopped so it can resume after a restart. The position is stored every saveEvery
+// milliseconds, up to the last change everything before is sent for.
+const createBroadcaster = ({
+  adapter,
+  name,
+  wait = 500,
+  saveEvery = 5000,
+  watch = options => Game.watch(pipeline, options),
+  load = loadScores,
+  emit = emitScores,
+}) => {
+  const timers = new Map();
+
+  // Changes in the order they came in, until everything before them is sent
+  const unsent = [];
+
+  let stream = null;
+  let saver = null;
+  let lastToken = null;
+  let sentToken = null;
+  let savedToken = null;
+  let stopped = false;
+
+  const flush = async gameId => {
+    timers.delete(gameId);
+
+    const changes = unsent.filter(change => change.gameId === gameId);
+
+    try {
+      const game = await load(gameId);
+      if (game) emit(game);
+    } finally {
+      // A failed load is only logged, so it doesn't hold the position back
+      changes.forEach(change => { change.sent = true; });
+
+      while (unsent.length > 0 && unsent[0].sent) sentToken = unsent.shift().token;
+    }
+  };
+
+  const save = async () => {
+    const token = sentToken;
+    if (!token || token === savedToken) return;
+
+    await adapter.save(name, token);
+    savedToken = token;
+  };
+
+  const schedule = gameId => {
+    if (timers.has(gameId)) return;
+
+    timers.set(gameId, setTimeout(() => flush(gameId).catch(err => console.log(err.message)), wait));
+  };
+
+  const onChange = change => {
+    const gameId = change.documentKey._id.toString();
+
+    lastToken = change._id;
+    unsent.push({ token: change._id, gameId, sent: false });
+
+    schedule(gameId);
+  };
+
+  // Starts from the stored position, or resumes from the last change seen after an error
+  const open = async (resumeFrom = null) => {
+    if (stopped) return;
+
+    const token = resumeFrom || await adapter.load(name);
+
+    const current = watch(token ? { resumeAfter: token } : {});
+    stream = current;
+
+    current.on('change', onChange);
+
+    if (!saver) saver = setInterval(() => save().catch(err => console.log(err.message)), saveEvery);
+
+    current.on('error', err => {
+      console.log(err.message);
+      if (stream !== current) return;
+
+      current.removeListener('change', onChange);
+      current.close();
+      stream = null;
+
+      const reopen = from => setTimeout(() => open(from).catch(e => console.log(e.message)), wait);
+
+      if (!LOST_TOKEN_CODES.includes(err.code)) return reopen(lastToken);
+
+      // Start over from now - none of the tokens of the old position can be resumed from
+      unsent.length = 0;
+      lastToken = null;
+      sentToken = null;
+      savedToken = null;
+
+      adapter.clear(name)
+        .then(() => reopen(null))
+        .catch(e => console.log(e.message));
+    });
+  };
+
+  const stop = () => {
+    stopped = true;
+
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+
+    if (saver) clearInterval(saver);
+    saver = null;
+
+    if (stream) stream.close();
+    stream = null;
+  };
+
+  return {
+    start: open,
+    stop,
+    save,
+    onChange,
+    pending: () => timers.size,
+  };
+};
+
+let broadcaster = null;
+
+const start = () => {
+  if (broadcaster) return broadcaster;
+
+  const adapter = (ADAPTERS[getSetting('broadcastAdapter', 'mongo')] || createMongoAdapter)();
+
+  broadcaster = createBroadcaster({
+    adapter,
+    name: getSetting('instanceName', `${os.hostname()}:${process.env.PORT || 5000}`),
+    wait: getSetting('broadcastWait', 500),
+    saveEvery: getSetting('broadcastSaveEvery', 5000),
+  });
+
+  broadcaster.start().catch(err => console.log(err.message));
+
+  return broadcaster;
+};
+
+module.exports = {
+  ADAPTERS,
+  loadScores,
+  createBroadcaster,
+  start,
+};
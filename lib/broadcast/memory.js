@@ -0,0 +1,12 @@
+// Keeps resume tokens in memory - for instances that don't need to resume after a restart
+const createMemoryAdapter = () => {
+  const tokens = new Map();
+
+  return {
+    load: async name => tokens.get(name) || null,
+    save: async (name, token) => { tokens.set(name, token); },
+    clear: async name => { tokens.delete(name); },
+  };
+};
+
+module.exports = createMemoryAdapter;
@@ -0,0 +1,13 @@
+const ResumeToken = require('../../models/ResumeToken');
+
+// Keeps resume tokens in the resumetokens collection, one per server instance
+const createMongoAdapter = () => ({
+  load: async name => {
+    const doc = await ResumeToken.findOne({ name });
+    return doc ? doc.token : null;
+  },
+  save: (name, token) => ResumeToken.updateOne({ name }, { token, date: Date.now() }, { upsert: true }),
+  clear: name => ResumeToken.deleteOne({ name }),
+});
+
+module.exports = createMongoAdapter;
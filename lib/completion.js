@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+
+const Clan = require('../models/Clan');
+const Game = require('../models/Game');
+const Match = require('../models/Match');
+const Result = require('../models/Result');
+const Team = require('../models/Team');
+
+const createResult = require('../helpers').createResult;
+const getWinners = require('../helpers').getWinners;
+const getPlacements = require('../helpers').getPlacements;
+const getTeamOutcome = require('../helpers').getTeamOutcome;
+const updateRatings = require('../helpers').updateRatings;
+
+const { canTransition, transition, transitionError } = require('./matchState');
+const { currentSeason, archiveEnded } = require('./seasons');
+const { checkMatch: checkMatchAchievements } = require('./achievements');
+const { onMatchCompleted } = require('./tournaments');
+const { emitStatus } = require('./matchRoom');
+
+const teamRecordFields = { wins: 'teamWins', losses: 'teamLosses', draws: 'teamDraws' };
+
+const failure = (status, msg, param, value) => ({ status, errors: [{ msg, param, value }] });
+
+// Final scores sent by the game server have to list every player of the match once
+const checkScores = (match, scores) => {
+  if (match.players.length === 0) return failure(400, 'Match has no players');
+  if (!scores) return null;
+
+  const seen = new Set();
+
+  for (let i = 0; i < scores.length; i++) {
+    const { user, xp } = scores[i];
+
+    if (!Number.isInteger(xp) || xp < 0) return failure(400, 'XP must be a whole number of at least 0', 'players', xp);
+    if (!match.players.some(p => p.user.toString() === user)) return failure(400, 'User is not a player of this match', 'players', user);
+    if (seen.has(user)) return failure(400, 'Player is listed more than once', 'players', user);
+
+    seen.add(user);
+  }
+
+  if (seen.size !== match.players.length) return failure(400, 'Every player of the match needs a score', 'players');
+
+  return null;
+};
+
+// Players by place, with the team standings of team matches
+const getStandings = (result, teams) => {
+  const placements = getPlacements(result.players, teams);
+  const winners = getWinners(result.players, teams);
+
+  return {
+    players: result.players
+      .map(({ user, xp }) => ({ user, xp, place: placements[user.toString()], won: winners.includes(user.toString()) }))
+      .sort((a, b) => a.place - b.place),
+    teams: result.teams,
+  };
+};
+
+// Adds the result to the game stats, the team and clan records and the ratings of the players
+const creditResult = async (match, result, teams, session) => {
+  const season = await currentSeason(match.game).session(session);
+  const game = await Game.findOne({ _id: match.game }).session(session);
+
+  const { players } = result;
+  const winners = getWinners(players, teams);
+
+  players.forEach(({ user, xp }) => {
+    // Players that left the game keep their place in the result, but have no stats to update
+    const player = game.players.find(p => p.user.toString() === user.toString());
+    if (!player) return;
+
+    const won = winners.includes(user.toString());
+
+    player.xp += xp;
+    player.matches += 1;
+    if (won) player.wins += 1;
+
+    if (season) {
+      if (!player.seasons.has(season.id)) player.seasons.set(season.id, {});
+
+      const stats = player.seasons.get(season.id);
+      stats.xp += xp;
+      stats.matches += 1;
+      if (won) stats.wins += 1;
+    }
+
+    // Add the scored items to the lifetime counts
+    const matchPlayer = match.players.find(p => p.user.toString() === user.toString());
+
+    if (matchPlayer) {
+      matchPlayer.items.forEach((count, item) => player.items.set(item, (player.items.get(item) || 0) + count));
+    }
+  });
+
+  // Update team records - a single team has nobody to win against
+  for (let i = 0; result.teams.length > 1 && i < result.teams.length; i++) {
+    const outcome = getTeamOutcome(result, result.teams[i]);
+    const team = teams.find(t => t.id === result.teams[i].team.toString());
+
+    team.record[outcome] += 1;
+    await team.save({ session });
+
+    // Clan teams also count towards the clan record
+    if (team.clan) await Clan.updateOne({ _id: team.clan }, { $inc: { [`record.${outcome}`]: 1 } }, { session });
+
+    result.teams[i].members.forEach(({ user }) => {
+      const player = game.players.find(p => p.user.toString() === user.toString());
+      if (player) player[teamRecordFields[outcome]] += 1;
+    });
+  }
+
+  updateRatings(game, players, teams, match.id);
+  await game.save({ session });
+
+  return game;
+};
+
+// Achievements and the tournament bracket skip what is already done, so a retried completion finishes
+// them if the first attempt stopped after the commit
+const afterCompletion = async (match, result, teams, game) => {
+  await checkMatchAchievements(game, match, result.players, getPlacements(result.players, teams));
+
+  // Tournament matches move the bracket on
+  await onMatchCompleted(match, result, teams);
+};
+
+// Returns the saved result of a completed match
+const replay = async match => {
+  const result = await Result.findOne({ _id: match.result });
+  const teams = await Team.find({ match: match.id });
+  const game = await Game.findOne({ _id: match.game });
+
+  await afterCompletion(match, result, teams, game);
+
+  return {
+    match,
+    result,
+    standings: getStandings(result, teams),
+    replayed: true,
+  };
+};
+
+// Completes the match with the running score, or the final scores ([{ user, xp }]) of the game server.
+// The result, the match and the stats of the players are saved in one transaction. A retry with the same
+// key gets the saved result instead of crediting the match again.
+// Returns { match, result, standings, replayed } or { status, errors } when the match can't be completed.
+const completeMatch = async (match, { key, scores } = {}) => {
+  if (match.status === 'completed' && key && match.completionKey === key) return replay(match);
+
+  if (!canTransition(match, 'complete')) return { status: 400, ...transitionError(match, 'complete') };
+
+  const invalid = checkScores(match, scores);
+  if (invalid) return invalid;
+
+  // Close a season that just ended before crediting the new one
+  await archiveEnded(match.game);
+
+  const session = await mongoose.startSession();
+  let completed = null;
+
+  try {
+    // The callback runs again when the transaction conflicts with another write, so it starts from a fresh copy
+    await session.withTransaction(async () => {
+      completed = null;
+
+      const current = await Match.findOne({ _id: match.id }).session(session);
+      if (!canTransition(current, 'complete')) return;
+
+      if (scores) {
+        scores.forEach(({ user, xp }) => { current.players.find(p => p.user.toString() === user).xp = xp; });
+      }
+
+      const teams = await Team.find({ match: current.id }).session(session);
+      const result = await createResult(current.players.map(({ user, xp }) => ({ user, xp })), current.id, current.game, teams, { session });
+
+      transition(current, 'complete');
+      current.result = result;
+      current.completionKey = key;
+      await current.save({ session });
+
+      const game = await creditResult(current, result, teams, session);
+
+      completed = { match: current, result, teams, game };
+    });
+  } finally {
+    session.endSession();
+  }
+
+  // Another request completed the match first
+  if (!completed) {
+    const current = await Match.findOne({ _id: match.id });
+    if (key && current.completionKey === key) return replay(current);
+
+    return { status: 400, ...transitionError(current, 'complete') };
+  }
+
+  const { result, teams, game } = completed;
+
+  emitStatus(completed.match);
+
+  await afterCompletion(completed.match, result, teams, game);
+
+  return {
+    match: completed.match,
+    result,
+    standings: getStandings(result, teams),
+    replayed: false,
+  };
+};
+
+module.exports = {
+  getStandings,
+  completeMatch,
+};
@@ -0,0 +1,123 @@
+const Game = require('../models/Game');
+const Match = require('../models/Match');
+const MatchEvent = require('../models/MatchEvent');
+const Team = require('../models/Team');
+
+const findScoringRule = require('../helpers').findScoringRule;
+const scoreItem = require('../helpers').scoreItem;
+const getTeamStandings = require('../helpers').getTeamStandings;
+
+const { checkItem: checkItemAchievements } = require('./achievements');
+const { checkScore, recheckScore } = require('./antiCheat');
+const { emitToMatch, emitToUser } = require('./socket');
+
+const failure = (status, msg, param, value) => ({ status, errors: [{ msg, param, value }] });
+
+const revert = (match, playerId, rule, points) => Match.updateOne(
+  { _id: match.id, 'players.user': playerId },
+  { $inc: { 'players.$.xp': -points, [`players.$.items.${rule.item}`]: -1 } },
+);
+
+// Scores an item for a player of a running match - shared by the play route and the play socket event.
+// Scores that break the anti-cheat limits of the game are refused or flagged for review, a clientSeq
+// that was already scored is refused.
+// Returns { event, players, teams } or { status, errors } when the item can't be scored.
+const play = async (match, playerId, item, { clientSeq } = {}) => {
+  if (match.status !== 'in-progress') return failure(400, `Match is ${match.status}`, 'status', match.status);
+
+  const { players, game } = match;
+
+  // Look up the points for the item in the game's scoring rules
+  const gameDoc = await Game.findOne({ _id: game }).select(['name', 'developer', 'scoring', 'antiCheat', 'players.user', 'players.items']);
+
+  const rule = findScoringRule(gameDoc.scoring, item);
+  if (!rule) return failure(400, 'Not a valid item', 'item', item);
+
+  const index = players.findIndex(player => player.user.toString() === playerId);
+  if (index === -1) return failure(400, 'User is not a player of this match', 'playerId', playerId);
+  if (players[index].left) return failure(400, 'Player has left this match', 'playerId', playerId);
+
+  const points = scoreItem(rule, players[index]);
+  if (points === null) return failure(400, 'Item limit for this match reached', 'item', item);
+
+  if (clientSeq !== undefined && await MatchEvent.exists({ match: match.id, player: playerId, clientSeq })) {
+    return failure(409, 'Duplicate submission', 'clientSeq', clientSeq);
+  }
+
+  const rejects = gameDoc.antiCheat.action === 'reject';
+
+  let violation = await checkScore(gameDoc, match, players[index], points);
+  if (violation && rejects) return failure(violation.status, violation.reason, 'item', item);
+
+  // Add the points to the running score - the filter repeats the checks so concurrent plays can't exceed the limits
+  const filter = { _id: match.id, status: 'in-progress', players: { $elemMatch: { user: playerId } } };
+  if (rule.maxPerMatch) filter.players.$elemMatch[`items.${rule.item}`] = { $not: { $gte: rule.maxPerMatch } };
+  if (rejects && gameDoc.antiCheat.maxPointsPerMatch) filter.players.$elemMatch.xp = { $lte: gameDoc.antiCheat.maxPointsPerMatch - points };
+
+  const updated = await Match.findOneAndUpdate(filter, {
+    $inc: {
+      'players.$.xp': points,
+      [`players.$.items.${rule.item}`]: 1,
+      eventSeq: 1,
+    },
+    lastActivity: Date.now(),
+  }, { new: true });
+
+  if (!updated) return { status: 409, errors: [{ msg: 'Match changed while scoring, try again' }] };
+
+  // Log the event
+  const event = new MatchEvent({
+    match: match.id,
+    game,
+    player: playerId,
+    item: rule.item,
+    points,
+    seq: updated.eventSeq,
+    clientSeq,
+    flag: violation ? { reason: violation.reason, status: 'pending' } : undefined,
+  });
+
+  try {
+    await event.save();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // The same clientSeq was saved by a concurrent submission
+    await revert(match, playerId, rule, points);
+    return failure(409, 'Duplicate submission', 'clientSeq', clientSeq);
+  }
+
+  // The points per second can't be part of the update, so the limits are checked again with the score saved
+  const raced = !violation && await recheckScore(gameDoc, match, updated.players.find(p => p.user.toString() === playerId));
+
+  if (raced && rejects) {
+    await revert(match, playerId, rule, points);
+    await event.remove();
+
+    return failure(raced.status, raced.reason, 'item', item);
+  }
+
+  if (raced) {
+    violation = raced;
+    event.flag = { reason: raced.reason, status: 'pending' };
+    await event.save();
+  }
+
+  // Flagged scores wait for the developer, and don't unlock achievements
+  if (violation) {
+    emitToUser(gameDoc.developer, 'scoreFlagged', { game: gameDoc.id, match: match.id, event });
+  } else {
+    await checkItemAchievements(gameDoc, updated, playerId, rule.item);
+  }
+
+  const teams = await Team.find({ match: match.id });
+  const scored = { event, players: updated.players, teams: getTeamStandings(updated.players, teams) };
+
+  emitToMatch(match.id, 'itemScored', { match: match.id, ...scored });
+
+  return scored;
+};
+
+module.exports = {
+  play,
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+const Invite = require('../models/Invite');
+
+const getSetting = require('../helpers').getSetting;
+
+// No 0/O or 1/I so codes can be read out loud
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateCode = () => Array.from(crypto.randomBytes(CODE_LENGTH), byte => ALPHABET[byte % ALPHABET.length]).join('');
+
+// Codes are shown in upper case, users may type them in any case
+const normalizeCode = code => String(code).trim().toUpperCase();
+
+const inviteLink = code => `${getSetting('clientUrl', 'http://localhost:3000')}/invite/${code}`;
+
+// Creates an invite for a match or a team, expiresIn is in minutes
+const createInvite = async ({ game, match, team, createdBy, expiresIn, maxUses }) => {
+  for (let attempt = 0; ; attempt++) {
+    const invite = new Invite({
+      code: generateCode(),
+      game,
+      match,
+      team,
+      createdBy,
+      expires: expiresIn ? new Date(Date.now() + expiresIn * 60 * 1000) : null,
+      maxUses: maxUses || null,
+    });
+
+    try {
+      return await invite.save();
+    } catch (err) {
+      // Another invite already has the code - draw a new one
+      if (err.code !== 11000 || attempt >= 2) throw err;
+    }
+  }
+};
+
+// Returns the reason the invite can't be redeemed, null if it can
+const getInviteError = invite => {
+  if (invite.revoked) return 'Invite has been revoked';
+  if (invite.expires && invite.expires <= Date.now()) return 'Invite has expired';
+  if (invite.maxUses !== null && invite.uses >= invite.maxUses) return 'Invite has been used up';
+
+  return null;
+};
+
+// Invites that can still be redeemed
+const usableFilter = () => ({
+  revoked: false,
+  $and: [
+    { $or: [{ expires: null }, { expires: { $gt: Date.now() } }] },
+    { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] },
+  ],
+});
+
+// Counts a use of the invite. The filter repeats the checks, so concurrent redemptions can't exceed
+// maxUses - returns null if the invite was used up, revoked or expired in the meantime.
+const claim = invite => Invite.findOneAndUpdate({ _id: invite.id, ...usableFilter() }, { $inc: { uses: 1 } }, { new: true });
+
+// Gives the use back when the user couldn't be added after all
+const release = invite => Invite.updateOne({ _id: invite.id }, { $inc: { uses: -1 } });
+
+module.exports = {
+  normalizeCode,
+  inviteLink,
+  createInvite,
+  getInviteError,
+  usableFilter,
+  claim,
+  release,
+};
@@ -0,0 +1,96 @@
+const Match = require('../models/Match');
+const Result = require('../models/Result');
+const Team = require('../models/Team');
+
+const getWinners = require('../helpers').getWinners;
+
+const SORTS = ['xp', 'rating', 'wins'];
+const WINDOWS = ['all', 'season', 'week'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Start of a time window computed from results, null for windows kept on the game players
+const windowStart = (window, now = new Date()) => (window === 'week' ? new Date(now.getTime() - 7 * DAY) : null);
+
+const seasonStats = (player, season) => {
+  const stats = season && player.seasons.get(season.toString());
+  return stats ? { xp: stats.xp, wins: stats.wins, matches: stats.matches } : { xp: 0, wins: 0, matches: 0 };
+};
+
+// Ties on the sorted field are broken by the other fields, then by the user id,
+// so the order is the same on every request
+const compare = sort => {
+  const fields = [sort, ...SORTS.filter(field => field !== sort)];
+
+  return (a, b) => {
+    for (let i = 0; i < fields.length; i++) {
+      if (a[fields[i]] !== b[fields[i]]) return b[fields[i]] - a[fields[i]];
+    }
+
+    return a.user < b.user ? -1 : 1;
+  };
+};
+
+// Sums xp, matches and wins of the players from the results of matches completed since the start
+const windowTotals = async (game, start) => {
+  const matches = await Match.find({ game: game.id, status: 'completed', completedAt: { $gte: start } }).select('result');
+
+  const results = await Result.find({ _id: { $in: matches.map(match => match.result) } });
+  const teams = await Team.find({ match: { $in: matches.map(match => match.id) } });
+
+  const totals = {};
+
+  results.forEach(result => {
+    const winners = getWinners(result.players, teams.filter(team => team.match.toString() === result.match.toString()));
+
+    result.players.forEach(({ user, xp }) => {
+      const id = user.toString();
+      if (!totals[id]) totals[id] = { xp: 0, matches: 0, wins: 0 };
+
+      totals[id].xp += xp;
+      totals[id].matches += 1;
+      if (winners.includes(id)) totals[id].wins += 1;
+    });
+  });
+
+  return totals;
+};
+
+// Returns every player of the game ranked by the sort field, users are returned as ids.
+// The season window needs the id of the season.
+const buildLeaderboard = async (game, { sort = 'xp', window = 'all', season = null } = {}) => {
+  const start = windowStart(window);
+  const totals = start ? await windowTotals(game, start) : null;
+
+  const rows = game.players.map(player => {
+    const id = player.user.toString();
+    let stats = player;
+
+    if (totals) stats = totals[id] || { xp: 0, matches: 0, wins: 0 };
+    else if (window === 'season') stats = seasonStats(player, season);
+
+    return {
+      user: id,
+      xp: stats.xp,
+      wins: stats.wins,
+      matches: stats.matches,
+      rating: player.rating,
+      deviation: player.deviation,
+      teamWins: player.teamWins,
+      teamLosses: player.teamLosses,
+      teamDraws: player.teamDraws,
+    };
+  });
+
+  return rows
+    .sort(compare(sort))
+    .map((row, index) => ({ rank: index + 1, ...row }));
+};
+
+module.exports = {
+  SORTS,
+  WINDOWS,
+  compare,
+  windowStart,
+  buildLeaderboard,
+};
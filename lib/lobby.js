@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const Match = require('../models/Match');
+
+const { lobbyRoom, emitToRoom } = require('./socket');
+
+// Realtime updates of the public matches of a game for the match browser (lobby:<gameId>)
+
+// What the browser shows of a match - the secret and the scores stay out
+const summaryFields = {
+  name: 1,
+  host: 1,
+  game: 1,
+  status: 1,
+  visibility: 1,
+  maxPlayers: 1,
+  maxTeams: 1,
+  date: 1,
+  playerCount: { $size: '$players' },
+  teamCount: { $size: '$teams' },
+  // Null for matches without a player limit
+  freeSlots: {
+    $cond: [{ $eq: [{ $ifNull: ['$maxPlayers', null] }, null] }, null, { $subtract: ['$maxPlayers', { $size: '$players' }] }],
+  },
+};
+
+const summarize = match => ({
+  _id: match._id,
+  name: match.name,
+  host: match.host,
+  game: match.game,
+  status: match.status,
+  visibility: match.visibility,
+  maxPlayers: match.maxPlayers,
+  maxTeams: match.maxTeams,
+  date: match.date,
+  playerCount: match.players.length,
+  teamCount: match.teams.length,
+  freeSlots: match.maxPlayers === null ? null : match.maxPlayers - match.players.length,
+});
+
+// Public matches of a game, newest first - freeSlots keeps matches with at least that many free slots,
+// matches without a player limit always have room
+const browse = async (gameId, { status = 'lobby', freeSlots, page = 1, limit = 20 } = {}) => {
+  const filter = {
+    game: mongoose.Types.ObjectId(gameId.toString()),
+    visibility: 'public',
+    status,
+  };
+
+  const pipeline = [{ $match: filter }, { $project: summaryFields }];
+  if (freeSlots) pipeline.push({ $match: { $or: [{ freeSlots: null }, { freeSlots: { $gte: freeSlots } }] } });
+
+  const [{ total, matches }] = await Match.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        matches: [{ $sort: { date: -1 } }, { $skip: (page - 1) * limit }, { $limit: limit }],
+      },
+    },
+  ]);
+
+  return {
+    total: total.length ? total[0].count : 0,
+    page,
+    limit,
+    matches,
+  };
+};
+
+// Sent when a public match is created or its players, teams, status or settings change
+const emitLobby = match => {
+  if (match.visibility !== 'public') return;
+
+  emitToRoom(lobbyRoom(match.game), 'lobbyUpdate', { game: match.game.toString(), match: summarize(match) });
+};
+
+// Sent when a public match is deleted or made private
+const emitLobbyRemoved = match => emitToRoom(lobbyRoom(match.game), 'lobbyRemoved', {
+  game: match.game.toString(),
+  match: match.id,
+});
+
+module.exports = {
+  summarize,
+  browse,
+  emitLobby,
+  emitLobbyRemoved,
+};
@@ -0,0 +1,8 @@
+// Prints emails to the console - for development
+const createConsoleTransport = () => ({
+  send: async ({ from, to, subject, text }) => {
+    console.log(`Email from ${from} to ${to}: ${subject}\n${text}`);
+  },
+});
+
+module.exports = createConsoleTransport;
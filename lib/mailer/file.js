@@ -0,0 +1,14 @@
+const fs = require('fs');
+const path = require('path');
+
+// Writes every email to a JSON file in the directory - for tests and offline development
+const createFileTransport = ({ dir }) => ({
+  send: async message => {
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const name = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+    await fs.promises.writeFile(path.join(dir, name), JSON.stringify({ ...message, date: new Date() }, null, 2));
+  },
+});
+
+module.exports = createFileTransport;
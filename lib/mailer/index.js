@@ -0,0 +1,59 @@
+const getSetting = require('../../helpers').getSetting;
+
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+const createSmtpTransport = require('./smtp');
+
+const TRANSPORTS = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({ dir: getSetting('mailDir', 'mail') }),
+  smtp: () => createSmtpTransport({
+    host: getSetting('smtpHost', 'localhost'),
+    port: getSetting('smtpPort', 587),
+    secure: getSetting('smtpSecure', false),
+    user: getSetting('smtpUser', null),
+    pass: getSetting('smtpPass', null),
+  }),
+};
+
+let transport = null;
+
+// The transport is picked by the mailTransport setting on first use, tests can swap it with setTransport
+const getTransport = () => {
+  if (!transport) transport = (TRANSPORTS[getSetting('mailTransport', 'console')] || TRANSPORTS.console)();
+  return transport;
+};
+
+const setTransport = next => {
+  transport = next;
+};
+
+const send = ({ to, subject, text }) => getTransport().send({
+  from: getSetting('mailFrom', 'ZSRI <noreply@zsri.local>'),
+  to,
+  subject,
+  text,
+});
+
+// Links in emails point to the client
+const link = (route, token) => `${getSetting('clientUrl', 'http://localhost:3000')}/${route}?token=${encodeURIComponent(token)}`;
+
+const sendVerification = (user, token) => send({
+  to: user.email,
+  subject: 'Verify your email',
+  text: `Hi ${user.username},\n\nconfirm your email address by opening the link below:\n${link('verify-email', token)}\n\nIf you didn't create an account, ignore this email.`,
+});
+
+const sendPasswordReset = (user, token) => send({
+  to: user.email,
+  subject: 'Reset your password',
+  text: `Hi ${user.username},\n\nset a new password by opening the link below:\n${link('reset-password', token)}\n\nIf you didn't ask for a new password, ignore this email.`,
+});
+
+module.exports = {
+  TRANSPORTS,
+  setTransport,
+  send,
+  sendVerification,
+  sendPasswordReset,
+};
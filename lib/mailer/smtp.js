@@ -0,0 +1,16 @@
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    send: message => transporter.sendMail(message),
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,45 @@
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+
+const { emitToMatch } = require('./socket');
+const { emitLobby } = require('./lobby');
+
+// Realtime updates for the players in a match room (match:<id>) - public matches also update the match browser
+
+// Sent after a lifecycle transition has been saved
+const emitStatus = match => {
+  const { from, to, date } = match.statusHistory[match.statusHistory.length - 1] || {};
+
+  emitToMatch(match.id, 'statusChanged', { match: match.id, from, to, date, status: match.status });
+  emitLobby(match);
+};
+
+// Sent when a player joins, leaves, is kicked or readies up
+const emitPlayers = (match, event, userId) => {
+  emitToMatch(match.id, event, {
+    match: match.id,
+    user: userId.toString(),
+    players: match.players,
+  });
+  emitLobby(match);
+};
+
+// Sent when the host left and the match passed to another player
+const emitHost = match => emitToMatch(match.id, 'hostChanged', { match: match.id, host: match.host.toString() });
+
+// Sent when a team is created, joined or removed
+const emitTeams = async matchId => {
+  const teams = await Team.find({ match: matchId }).select(['name', 'owner', 'clan', 'members']);
+
+  emitToMatch(matchId, 'teamsUpdate', { match: matchId.toString(), teams });
+
+  const match = await Match.findOne({ _id: matchId, visibility: 'public' }).select(['name', 'host', 'game', 'status', 'visibility', 'maxPlayers', 'maxTeams', 'date', 'players.user', 'teams']);
+  if (match) emitLobby(match);
+};
+
+module.exports = {
+  emitStatus,
+  emitPlayers,
+  emitHost,
+  emitTeams,
+};
@@ -0,0 +1,76 @@
+const Match = require('../models/Match');
+
+const getSetting = require('../helpers').getSetting;
+
+const { emitStatus } = require('./matchRoom');
+const { onMatchAbandoned } = require('./tournaments');
+
+// Statuses a match can be in before each action
+const TRANSITIONS = {
+  readyCheck: { from: ['lobby'], to: 'ready-check' },
+  cancelReadyCheck: { from: ['ready-check'], to: 'lobby' },
+  start: { from: ['lobby', 'ready-check'], to: 'in-progress' },
+  pause: { from: ['in-progress'], to: 'paused' },
+  resume: { from: ['paused'], to: 'in-progress' },
+  complete: { from: ['in-progress', 'paused'], to: 'completed' },
+  abandon: { from: ['lobby', 'ready-check', 'in-progress', 'paused'], to: 'abandoned' },
+};
+
+const canTransition = (match, action) => TRANSITIONS[action].from.includes(match.status);
+
+// Moves the match to the status of the action, returns false if the action isn't allowed
+const transition = (match, action) => {
+  if (!canTransition(match, action)) return false;
+
+  const { to } = TRANSITIONS[action];
+  const now = Date.now();
+
+  match.statusHistory.push({ from: match.status, to, date: now });
+  match.status = to;
+  match.lastActivity = now;
+
+  if (to === 'in-progress' && !match.startedAt) match.startedAt = now;
+  if (to === 'completed') match.completedAt = now;
+
+  // Every new ready check starts with nobody ready
+  if (to === 'ready-check') match.players.forEach(player => { player.ready = false; });
+
+  return true;
+};
+
+const transitionError = (match, action) => ({ errors: [{ msg: `Cannot ${action} a match that is ${match.status}`, param: 'status', value: match.status }] });
+
+// Abandons matches nothing happened in for longer than the idle timeout (in minutes)
+const abandonIdle = async () => {
+  const timeout = getSetting('matchIdleTimeout', 30) * 60 * 1000;
+
+  const matches = await Match.find({
+    status: { $in: TRANSITIONS.abandon.from },
+    lastActivity: { $lt: Date.now() - timeout },
+  });
+
+  for (let i = 0; i < matches.length; i++) {
+    transition(matches[i], 'abandon');
+    await matches[i].save();
+
+    emitStatus(matches[i]);
+
+    await onMatchAbandoned(matches[i]);
+  }
+
+  return matches;
+};
+
+let interval = null;
+
+const start = (every = 60 * 1000) => {
+  if (!interval) interval = setInterval(() => abandonIdle().catch(err => console.log(err.message)), every);
+};
+
+module.exports = {
+  canTransition,
+  transition,
+  transitionError,
+  abandonIdle,
+  start,
+};
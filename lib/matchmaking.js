@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const Game = require('../models/Game');
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+const Ticket = require('../models/Ticket');
+
+const { emitToUser } = require('./socket');
+const { transition } = require('./matchState');
+
+// The rating range is widened by its base value every WIDEN_INTERVAL of waiting
+const WIDEN_INTERVAL = 30 * 1000;
+
+// Games currently forming a match, so concurrent calls don't claim the same tickets
+const forming = new Set();
+
+const hashSecret = async () => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(crypto.randomBytes(16).toString('hex'), salt);
+};
+
+const allowedRange = (ratingRange, oldest, now) => ratingRange * (1 + Math.floor((now - oldest) / WIDEN_INTERVAL));
+
+// Finds the group of consecutive (rating sorted) tickets with the smallest rating spread
+// that every player in the group is willing to accept
+const pickGroup = (tickets, size, ratingRange, now = Date.now()) => {
+  const sorted = [...tickets].sort((a, b) => a.rating - b.rating);
+  let best = null;
+
+  for (let i = 0; i + size <= sorted.length; i++) {
+    const group = sorted.slice(i, i + size);
+    const spread = group[size - 1].rating - group[0].rating;
+    const oldest = Math.min(...group.map(ticket => new Date(ticket.date).getTime()));
+
+    if (spread <= allowedRange(ratingRange, oldest, now) && (!best || spread < best.spread)) best = { group, spread };
+  }
+
+  return best ? best.group : null;
+};
+
+// Snake draft from the highest rating down, so team rating totals stay close
+const balanceTeams = (tickets, teams) => {
+  const sorted = [...tickets].sort((a, b) => b.rating - a.rating);
+  const result = Array.from({ length: teams }, () => []);
+
+  sorted.forEach((ticket, i) => {
+    const round = Math.floor(i / teams);
+    const index = round % 2 === 0 ? i % teams : teams - 1 - (i % teams);
+    result[index].push(ticket);
+  });
+
+  return result;
+};
+
+const createMatch = async (game, tickets) => {
+  const { teams, teamSize } = game.matchmaking;
+  const sides = balanceTeams(tickets, teams);
+
+  const match = new Match({
+    name: `${game.name} #${crypto.randomBytes(3).toString('hex')}`,
+    host: sides[0][0].user,
+    game: game.id,
+    secret: await hashSecret(),
+    players: tickets.map(ticket => ({ user: ticket.user })),
+  });
+
+  const notifications = tickets.map(ticket => ({ user: ticket.user, team: null }));
+
+  // Only create teams when there is more than one player per side
+  if (teamSize > 1) {
+    for (let i = 0; i < sides.length; i++) {
+      const team = new Team({
+        name: `Team ${i + 1}`,
+        owner: sides[i][0].user,
+        game: game.id,
+        match: match.id,
+        secret: await hashSecret(),
+        members: sides[i].map(ticket => ({ user: ticket.user })),
+      });
+
+      await team.save();
+      match.teams.push(team);
+
+      sides[i].forEach(ticket => {
+        notifications.find(n => n.user.toString() === ticket.user.toString()).team = team.id;
+      });
+    }
+  }
+
+  // Everyone is already here, so go straight to the ready check
+  transition(match, 'readyCheck');
+  await match.save();
+
+  notifications.forEach(({ user, team }) => emitToUser(user, 'matchFound', { game: game.id, match: match.id, team }));
+
+  return match;
+};
+
+// Takes the tickets out of the queue. Another instance forming matches or a player cancelling can take a
+// ticket at the same time, so each ticket is claimed on its own - if any of them is gone, the claimed ones
+// go back into the queue and no match is formed. Returns false in that case.
+const claimTickets = async group => {
+  const claimed = await Promise.all(group.map(ticket => Ticket.findOneAndDelete({ _id: ticket._id })));
+  if (claimed.every(ticket => ticket)) return true;
+
+  try {
+    await Ticket.insertMany(claimed.filter(ticket => ticket).map(ticket => ticket.toObject()), { ordered: false });
+  } catch (err) {
+    // The player queued again in the meantime
+    if (err.code !== 11000) throw err;
+  }
+
+  return false;
+};
+
+// Forms as many matches as possible from the tickets queued for a game
+const formMatches = async gameId => {
+  const key = gameId.toString();
+  if (forming.has(key)) return [];
+
+  forming.add(key);
+
+  try {
+    const game = await Game.findOne({ _id: gameId }).select(['name', 'matchmaking']);
+    if (!game) return [];
+
+    const size = game.matchmaking.teams * game.matchmaking.teamSize;
+    const matches = [];
+
+    let tickets = await Ticket.find({ game: gameId });
+    let group = pickGroup(tickets, size, game.matchmaking.ratingRange);
+
+    while (group) {
+      const ids = group.map(ticket => ticket.id);
+      const claimed = await claimTickets(group);
+
+      if (claimed) matches.push(await createMatch(game, group));
+
+      // After a failed claim the queue is read again - the restored tickets wait for the next sweep
+      tickets = claimed
+        ? tickets.filter(ticket => !ids.includes(ticket.id))
+        : await Ticket.find({ game: gameId, _id: { $nin: ids } });
+
+      group = pickGroup(tickets, size, game.matchmaking.ratingRange);
+    }
+
+    return matches;
+  } finally {
+    forming.delete(key);
+  }
+};
+
+const enqueue = async (game, userId) => {
+  const player = game.players.find(p => p.user.toString() === userId);
+
+  const ticket = new Ticket({
+    user: userId,
+    game: game.id,
+    rating: player.rating,
+  });
+
+  await ticket.save();
+
+  // Matches are formed in the background, the players are notified over socket.io
+  formMatches(game.id).catch(err => console.log(err.message));
+
+  return ticket;
+};
+
+const dequeue = (gameId, userId) => Ticket.findOneAndDelete({ game: gameId, user: userId });
+
+// Retries games with waiting players, since the rating range widens over time
+const sweep = async () => {
+  const games = await Ticket.distinct('game');
+
+  for (let i = 0; i < games.length; i++) {
+    await formMatches(games[i]);
+  }
+};
+
+let interval = null;
+
+const start = (every = 5000) => {
+  if (!interval) interval = setInterval(() => sweep().catch(err => console.log(err.message)), every);
+};
+
+module.exports = {
+  pickGroup,
+  balanceTeams,
+  formMatches,
+  enqueue,
+  dequeue,
+  sweep,
+  start,
+};
@@ -0,0 +1,127 @@
+const Invite = require('../models/Invite');
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+
+const { transition } = require('./matchState');
+const {
+  emitStatus,
+  emitPlayers,
+  emitHost,
+  emitTeams,
+} = require('./matchRoom');
+const { matchRoom, userRoom, leaveRoom } = require('./socket');
+const { onMatchAbandoned } = require('./tournaments');
+
+// Before the match starts players are removed outright, after that they are only marked as left
+const OPEN_STATUSES = ['lobby', 'ready-check'];
+
+// Takes the user out of the team - the team passes to the next member, teams without other members are
+// removed from their match. Returns the team, or null if it was removed.
+const leaveTeam = async (team, userId) => {
+  const others = team.members.filter(member => member.user.toString() !== userId);
+
+  if (others.length === 0) {
+    await Match.updateOne({ _id: team.match }, { $pull: { teams: team._id } });
+    await Invite.deleteMany({ team: team._id });
+    await team.remove();
+    return null;
+  }
+
+  if (team.owner.toString() === userId) team.owner = others[0].user;
+
+  team.members = others;
+  await team.save();
+
+  return team;
+};
+
+const leaveTeams = async (userId, matchIds) => {
+  const teams = await Team.find({ match: { $in: matchIds }, 'members.user': userId });
+
+  for (let i = 0; i < teams.length; i++) {
+    await leaveTeam(teams[i], userId);
+  }
+};
+
+// Takes the user out of the match, kickedBy is set when the host removed them.
+// Once the match runs the player stays in the players and their teams, so the points they scored count
+// for the team standings and the result, but they can't score anymore. A host that leaves hands the match
+// to the longest standing player, a match without players left is abandoned.
+const leaveMatch = async (match, userId, { kickedBy } = {}) => {
+  const player = match.players.find(p => p.user.toString() === userId);
+  const open = OPEN_STATUSES.includes(match.status);
+
+  if (player && open) {
+    const teams = await Team.find({ match: match.id, 'members.user': userId });
+
+    for (let i = 0; i < teams.length; i++) {
+      if (!(await leaveTeam(teams[i], userId))) match.teams.pull(teams[i]._id);
+    }
+
+    match.players.pull(player._id);
+  } else if (player) {
+    player.left = Date.now();
+  }
+
+  if (kickedBy) match.kicked.push({ user: userId, by: kickedBy });
+
+  const active = match.players.filter(p => !p.left);
+
+  // Players join at the front, so the longest standing one is the last
+  const heir = match.host.toString() === userId && active[active.length - 1];
+  if (heir) match.host = heir.user;
+
+  let changedStatus = false;
+
+  if (active.length === 0) {
+    changedStatus = transition(match, 'abandon');
+  } else if (match.status === 'ready-check' && active.every(p => p.ready)) {
+    // Everyone who is still in the ready check is ready
+    changedStatus = transition(match, 'start');
+  }
+
+  match.lastActivity = Date.now();
+  await match.save();
+
+  if (player) emitPlayers(match, kickedBy ? 'playerKicked' : 'playerLeft', userId);
+  if (heir) emitHost(match);
+  if (changedStatus) emitStatus(match);
+  if (player && open) await emitTeams(match.id);
+
+  // The sockets of a kicked user stop getting the updates of the match
+  if (kickedBy) leaveRoom(userRoom(userId), matchRoom(match.id));
+
+  if (changedStatus && match.status === 'abandoned') await onMatchAbandoned(match);
+
+  return match;
+};
+
+// Removes the clan - its teams leave the matches that haven't started, teams of finished matches keep their
+// record without the clan. Teams of running matches keep the clan id, their result and the tournament bracket
+// still need it.
+const disbandClan = async clan => {
+  const teams = await Team.find({ clan: clan._id }).select('match');
+  const matches = await Match.find({ _id: { $in: teams.map(team => team.match) } }).select('status');
+
+  const openMatches = matches.filter(match => OPEN_STATUSES.includes(match.status));
+  const openTeams = teams.filter(team => openMatches.some(match => match.id === team.match.toString()));
+  const finished = matches.filter(match => ['completed', 'abandoned'].includes(match.status));
+
+  await Match.updateMany({ _id: { $in: openMatches.map(match => match._id) } }, { $pull: { teams: { $in: openTeams.map(team => team._id) } } });
+  await Team.deleteMany({ _id: { $in: openTeams.map(team => team._id) } });
+  await Team.updateMany({ clan: clan._id, match: { $in: finished.map(match => match._id) } }, { $unset: { clan: 1 } });
+
+  await clan.remove();
+
+  for (let i = 0; i < openMatches.length; i++) {
+    await emitTeams(openMatches[i].id);
+  }
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  leaveTeam,
+  leaveTeams,
+  leaveMatch,
+  disbandClan,
+};
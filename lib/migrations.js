@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const Game = require('../models/Game');
+const Match = require('../models/Match');
+const Season = require('../models/Season');
+
+// Brings documents saved by older versions up to date. Each migration only matches the documents that
+// still need it, so they all run on every start.
+const MIGRATIONS = [
+  {
+    name: 'match status',
+    // Matches used to only have isCompleted - the rest were still open. The raw collection is used since
+    // isCompleted is no longer in the schema.
+    run: () => Match.collection.updateMany(
+      { status: { $exists: false } },
+      [
+        { $set: { status: { $cond: [{ $eq: ['$isCompleted', true] }, 'completed', 'lobby'] } } },
+        { $unset: 'isCompleted' },
+      ],
+    ),
+  },
+  {
+    name: 'game scoring',
+    // Games created before scoring rules keep scoring the items every game used to score
+    run: () => Game.collection.updateMany(
+      { scoring: { $exists: false } },
+      { $set: { scoring: Game.DEFAULT_SCORING.map(rule => ({ _id: mongoose.Types.ObjectId(), multiplier: 1, ...rule })) } },
+    ),
+  },
+  {
+    name: 'player seasons',
+    // Season stats used to be kept in flat fields, reset when a season ended. They are moved under the id of
+    // the season that is running, games without one only drop them.
+    run: async () => {
+      const flat = ['players.seasonXp', 'players.seasonWins', 'players.seasonMatches'];
+      const seasons = await Season.find({ isArchived: false, start: { $lte: Date.now() }, end: { $gt: Date.now() } }).select('game');
+
+      let modifiedCount = 0;
+
+      for (let i = 0; i < seasons.length; i++) {
+        const { modifiedCount: modified } = await Game.collection.updateOne(
+          { _id: seasons[i].game, 'players.seasonXp': { $exists: true } },
+          [
+            {
+              $set: {
+                players: {
+                  $map: {
+                    input: '$players',
+                    as: 'player',
+                    in: {
+                      $mergeObjects: ['$$player', {
+                        seasons: {
+                          $arrayToObject: [[{
+                            k: seasons[i].id,
+                            v: { xp: '$$player.seasonXp', wins: '$$player.seasonWins', matches: '$$player.seasonMatches' },
+                          }]],
+                        },
+                      }],
+                    },
+                  },
+                },
+              },
+            },
+            { $unset: flat },
+          ],
+        );
+
+        modifiedCount += modified;
+      }
+
+      const { modifiedCount: dropped } = await Game.collection.updateMany({ 'players.seasonXp': { $exists: true } }, [{ $unset: flat }]);
+
+      return { modifiedCount: modifiedCount + dropped };
+    },
+  },
+];
+
+const migrate = async () => {
+  for (let i = 0; i < MIGRATIONS.length; i++) {
+    const { modifiedCount } = await MIGRATIONS[i].run();
+    if (modifiedCount > 0) console.log(`Migrated ${modifiedCount} documents: ${MIGRATIONS[i].name}`);
+  }
+};
+
+module.exports = {
+  MIGRATIONS,
+  migrate,
+};
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const Achievement = require('../models/Achievement');
+const Game = require('../models/Game');
+const Match = require('../models/Match');
+const Result = require('../models/Result');
+const User = require('../models/User');
+const UserAchievement = require('../models/UserAchievement');
+
+const byGame = (rows, gameId) => rows.find(row => row._id.toString() === gameId) || {};
+
+// Public profile of a user - totals come from the game players, best scores from the results,
+// hosted matches from the matches. Returns null if the user doesn't exist.
+const buildProfile = async userId => {
+  const user = await User.findOne({ _id: userId }).select(User.PUBLIC_FIELDS);
+  if (!user) return null;
+
+  const id = mongoose.Types.ObjectId(user.id);
+
+  const games = await Game.find({ 'players.user': id }).select({ name: 1, players: { $elemMatch: { user: id } } });
+
+  const results = await Result.aggregate([
+    { $match: { 'players.user': id } },
+    { $unwind: '$players' },
+    { $match: { 'players.user': id } },
+    { $group: { _id: '$game', bestXp: { $max: '$players.xp' }, lastPlayed: { $max: '$date' } } },
+  ]);
+
+  const hosted = await Match.aggregate([
+    { $match: { host: id } },
+    { $group: { _id: '$game', count: { $sum: 1 } } },
+  ]);
+
+  const achievements = await UserAchievement.find({ user: id })
+    .sort({ date: -1 })
+    .populate('achievement', ['key', 'name', 'description'], Achievement);
+
+  const stats = games.map(game => {
+    const [player] = game.players;
+
+    return {
+      game: { _id: game.id, name: game.name },
+      xp: player.xp,
+      matches: player.matches,
+      wins: player.wins,
+      rating: Math.round(player.rating),
+      bestXp: byGame(results, game.id).bestXp || 0,
+      lastPlayed: byGame(results, game.id).lastPlayed || null,
+      hosted: byGame(hosted, game.id).count || 0,
+      achievements: achievements.filter(unlocked => unlocked.game.toString() === game.id).length,
+    };
+  });
+
+  return {
+    user,
+    totals: {
+      xp: stats.reduce((total, game) => total + game.xp, 0),
+      matches: stats.reduce((total, game) => total + game.matches, 0),
+      wins: stats.reduce((total, game) => total + game.wins, 0),
+      achievements: achievements.length,
+    },
+    games: stats.sort((a, b) => b.xp - a.xp),
+    achievements,
+  };
+};
+
+module.exports = {
+  buildProfile,
+};
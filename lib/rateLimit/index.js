@@ -0,0 +1,109 @@
+const getSetting = require('../../helpers').getSetting;
+
+const createMemoryStore = require('./memory');
+const createMongoStore = require('./mongo');
+
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+const MINUTE = 60 * 1000;
+
+// Requests per address (or the key the route counts by) within the window, and attempts per account or
+// resource within the failure window. Every attempt from the threshold on locks the key for twice as long as the last one.
+// Each limit can be changed with the rateLimits setting, e.g. { "login": { "max": 50 } }
+const LIMITS = {
+  login: { max: 20, window: 15 * MINUTE, threshold: 5, failureWindow: 60 * MINUTE, lockout: MINUTE, maxLockout: 60 * MINUTE },
+  joinMatch: { max: 30, window: 15 * MINUTE, threshold: 5, failureWindow: 60 * MINUTE, lockout: MINUTE, maxLockout: 60 * MINUTE },
+  joinTeam: { max: 30, window: 15 * MINUTE, threshold: 5, failureWindow: 60 * MINUTE, lockout: MINUTE, maxLockout: 60 * MINUTE },
+  redeemInvite: { max: 30, window: 15 * MINUTE, threshold: 10, failureWindow: 60 * MINUTE, lockout: MINUTE, maxLockout: 60 * MINUTE },
+  // Routes that send mail, per address and per recipient
+  forgotPassword: { max: 10, window: 15 * MINUTE },
+  forgotPasswordEmail: { max: 3, window: 60 * MINUTE },
+  verifyEmail: { max: 10, window: 15 * MINUTE },
+  verifyEmailUser: { max: 3, window: 60 * MINUTE },
+};
+
+const getLimit = name => ({ ...LIMITS[name], ...getSetting('rateLimits', {})[name] });
+
+let store = null;
+
+// The store is picked by the rateLimitStore setting on first use, tests can swap it with setStore
+const getStore = () => {
+  if (!store) store = (STORES[getSetting('rateLimitStore', 'memory')] || createMemoryStore)();
+  return store;
+};
+
+const setStore = next => {
+  store = next;
+};
+
+// Counts a request of the key. Returns the milliseconds to wait when the limit is exceeded, 0 otherwise.
+const consume = async (name, key) => {
+  const { max, window } = getLimit(name);
+
+  const { count, resetAt } = await getStore().increment(`${name}:${key}`, window);
+
+  return count > max ? resetAt - Date.now() : 0;
+};
+
+// Returns the milliseconds until the longest lock of the keys runs out, 0 if none is locked
+const lockedFor = async (name, keys) => {
+  const entries = await Promise.all(keys.map(key => getStore().get(`${name}:fail:${key}`)));
+  const until = Math.max(0, ...entries.map(entry => (entry && entry.lockedUntil) || 0));
+
+  return Math.max(0, until - Date.now());
+};
+
+// Counts an attempt before the password or secret is checked, so attempts made at the same time can't get
+// past the threshold. From the threshold on an attempt has to lock the key before it runs - only one of
+// them gets the lock, a failure keeps it and a success clears it.
+// Returns { wait, locked } - wait is the milliseconds until the lock of a refused attempt runs out,
+// locked the keys the attempt locked.
+const recordAttempt = async (name, keys) => {
+  const { threshold, failureWindow, lockout, maxLockout } = getLimit(name);
+  const now = Date.now();
+  const locked = [];
+  let wait = 0;
+
+  await Promise.all(keys.map(async key => {
+    const { count } = await getStore().increment(`${name}:fail:${key}`, failureWindow);
+    if (count < threshold) return;
+
+    const duration = Math.min(lockout * 2 ** (count - threshold), maxLockout);
+
+    if (await getStore().claimLock(`${name}:fail:${key}`, now + duration)) {
+      locked.push(key);
+      return;
+    }
+
+    const entry = await getStore().get(`${name}:fail:${key}`);
+    wait = Math.max(wait, entry && entry.lockedUntil > now ? entry.lockedUntil - now : lockout);
+  }));
+
+  // A refused attempt doesn't run, so it doesn't keep the locks it got
+  if (wait > 0) await Promise.all(locked.map(key => getStore().lock(`${name}:fail:${key}`, 0)));
+
+  return { wait, locked: wait > 0 ? [] : locked };
+};
+
+// Takes back an attempt that turned out not to be a guess, with the locks it got
+const forgiveAttempt = (name, keys, locked = []) => Promise.all([
+  ...keys.map(key => getStore().decrement(`${name}:fail:${key}`)),
+  ...locked.map(key => getStore().lock(`${name}:fail:${key}`, 0)),
+]);
+
+const clearFailures = (name, keys) => Promise.all(keys.map(key => getStore().reset(`${name}:fail:${key}`)));
+
+module.exports = {
+  STORES,
+  LIMITS,
+  getLimit,
+  setStore,
+  consume,
+  lockedFor,
+  recordAttempt,
+  forgiveAttempt,
+  clearFailures,
+};
@@ -0,0 +1,69 @@
+// Keeps counters in memory - the default, limits are per server instance
+const createMemoryStore = ({ sweepEvery = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const get = async key => {
+    const entry = entries.get(key);
+    if (entry && entry.expires <= Date.now()) entries.delete(key);
+
+    return entries.get(key) || null;
+  };
+
+  // Counts within a fixed window, a new window starts once the old one ended
+  const increment = async (key, window) => {
+    const now = Date.now();
+    let entry = await get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + window, lockedUntil: entry ? entry.lockedUntil : null, expires: now + window };
+      entries.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    return { ...entry };
+  };
+
+  const lock = async (key, until) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+
+    entry.lockedUntil = until;
+    entry.expires = Math.max(entry.expires, until);
+  };
+
+  // Locks the key unless it is locked already, returns false if it was
+  const claimLock = async (key, until) => {
+    const entry = await get(key);
+    if (!entry || entry.lockedUntil > Date.now()) return false;
+
+    await lock(key, until);
+    return true;
+  };
+
+  const decrement = async key => {
+    const entry = await get(key);
+    if (entry && entry.count > 0) entry.count -= 1;
+  };
+
+  const reset = async key => {
+    entries.delete(key);
+  };
+
+  // Drop expired counters so the map doesn't grow with every address
+  setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => { if (entry.expires <= now) entries.delete(key); });
+  }, sweepEvery).unref();
+
+  return {
+    get,
+    increment,
+    lock,
+    claimLock,
+    decrement,
+    reset,
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,68 @@
+const RateLimit = require('../../models/RateLimit');
+
+const toEntry = doc => doc && {
+  count: doc.count,
+  resetAt: doc.resetAt.getTime(),
+  lockedUntil: doc.lockedUntil ? doc.lockedUntil.getTime() : null,
+  expires: doc.expires.getTime(),
+};
+
+// Keeps counters in the ratelimits collection so every server instance shares them
+const createMongoStore = () => {
+  const get = async key => {
+    const doc = await RateLimit.findOne({ key, expires: { $gt: Date.now() } });
+    return toEntry(doc);
+  };
+
+  const increment = async (key, window, retry = true) => {
+    const now = Date.now();
+
+    // Count in the running window
+    const doc = await RateLimit.findOneAndUpdate({ key, resetAt: { $gt: now } }, { $inc: { count: 1 } }, { new: true });
+    if (doc) return toEntry(doc);
+
+    // Start a new window - a lock outlives the window it was set in
+    try {
+      const started = await RateLimit.findOneAndUpdate(
+        { key, resetAt: { $lte: now } },
+        [{ $set: { count: 1, resetAt: new Date(now + window), expires: { $max: ['$lockedUntil', new Date(now + window)] } } }],
+        { new: true },
+      );
+      if (started) return toEntry(started);
+
+      const created = await RateLimit.create({ key, count: 1, resetAt: now + window, expires: now + window });
+      return toEntry(created);
+    } catch (err) {
+      // Another instance started the window at the same time
+      if (err.code === 11000 && retry) return increment(key, window, false);
+      throw err;
+    }
+  };
+
+  const lock = (key, until) => RateLimit.updateOne({ key }, [{ $set: { lockedUntil: new Date(until), expires: { $max: ['$expires', new Date(until)] } } }]);
+
+  // Locks the key unless it is locked already, returns false if it was
+  const claimLock = async (key, until) => {
+    const { nModified } = await RateLimit.updateOne(
+      { key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }] },
+      [{ $set: { lockedUntil: new Date(until), expires: { $max: ['$expires', new Date(until)] } } }],
+    );
+
+    return nModified === 1;
+  };
+
+  const decrement = key => RateLimit.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+
+  const reset = key => RateLimit.deleteOne({ key });
+
+  return {
+    get,
+    increment,
+    lock,
+    claimLock,
+    decrement,
+    reset,
+  };
+};
+
+module.exports = createMongoStore;
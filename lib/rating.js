@@ -0,0 +1,69 @@
+// Glicko rating system - http://www.glicko.net/glicko/glicko.pdf
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const MIN_DEVIATION = 30;
+
+const q = Math.log(10) / 400;
+
+const g = deviation => 1 / Math.sqrt(1 + (3 * q * q * deviation * deviation) / (Math.PI * Math.PI));
+
+const expectedScore = (rating, opponent) => 1 / (1 + Math.pow(10, (-g(opponent.deviation) * (rating - opponent.rating)) / 400));
+
+// Rates a single player against a list of { rating, deviation, score } outcomes
+const rate = ({ rating, deviation }, outcomes) => {
+  if (outcomes.length === 0) return { rating, deviation };
+
+  let dSum = 0;
+  let rSum = 0;
+
+  outcomes.forEach(opponent => {
+    const E = expectedScore(rating, opponent);
+    const gRD = g(opponent.deviation);
+
+    dSum += gRD * gRD * E * (1 - E);
+    rSum += gRD * (opponent.score - E);
+  });
+
+  const dSquared = 1 / (q * q * dSum);
+  const denominator = 1 / (deviation * deviation) + 1 / dSquared;
+
+  return {
+    rating: Math.round(rating + (q / denominator) * rSum),
+    deviation: Math.round(Math.max(Math.sqrt(1 / denominator), MIN_DEVIATION)),
+  };
+};
+
+// Every player plays against every player that is not on the same side.
+// A side is the player's team in team matches, or the player alone.
+// Sides are compared by their total score.
+const rateMatch = participants => {
+  const sideScore = side => participants.filter(p => p.side === side).reduce((total, p) => total + p.score, 0);
+
+  return participants.map(player => {
+    const own = sideScore(player.side);
+
+    const outcomes = participants
+      .filter(opponent => opponent.side !== player.side)
+      .map(opponent => {
+        const other = sideScore(opponent.side);
+
+        return {
+          rating: opponent.rating,
+          deviation: opponent.deviation,
+          score: own > other ? 1 : own === other ? 0.5 : 0,
+        };
+      });
+
+    return {
+      user: player.user,
+      ...rate(player, outcomes),
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  rate,
+  rateMatch,
+};
@@ -0,0 +1,90 @@
+const Game = require('../models/Game');
+const Season = require('../models/Season');
+const SeasonArchive = require('../models/SeasonArchive');
+
+const { buildLeaderboard } = require('./leaderboard');
+
+const currentSeason = (gameId, now = Date.now()) => Season.findOne({
+  game: gameId,
+  isArchived: false,
+  start: { $lte: now },
+  end: { $gt: now },
+});
+
+// Seasons of a game can't overlap
+const overlapsSeason = (gameId, start, end, exclude = null) => Season.exists({
+  game: gameId,
+  _id: { $ne: exclude },
+  start: { $lt: end },
+  end: { $gt: start },
+});
+
+// Snapshots the season standings into the archive and removes the season stats of the players.
+// The season is claimed first, so when the interval and a match completion archive it at the same time only
+// one of them does. Returns null if the season was already archived.
+const archiveSeason = async season => {
+  const claimed = await Season.findOneAndUpdate({ _id: season.id, isArchived: false }, { isArchived: true }, { new: true });
+  if (!claimed) return null;
+
+  try {
+    const game = await Game.findOne({ _id: claimed.game });
+
+    if (game) {
+      const standings = await buildLeaderboard(game, { sort: 'xp', window: 'season', season: claimed.id });
+
+      await SeasonArchive.findOneAndUpdate(
+        { season: claimed.id },
+        {
+          game: claimed.game,
+          name: claimed.name,
+          start: claimed.start,
+          end: claimed.end,
+          standings: standings
+            .filter(row => row.matches > 0)
+            .map(({ rank, user, xp, wins, matches, rating }) => ({ rank, user, xp, wins, matches, rating })),
+        },
+        { upsert: true },
+      );
+
+      // Only the entry of this season is removed, stats credited to the next season stay
+      await Game.updateOne({ _id: game.id }, { $unset: { [`players.$[].seasons.${claimed.id}`]: 1 } });
+    }
+  } catch (err) {
+    // Give the season back, so the next run archives it
+    await Season.updateOne({ _id: claimed.id }, { isArchived: false });
+    throw err;
+  }
+
+  return claimed;
+};
+
+// Archives seasons that have ended, optionally only the ones of a game
+const archiveEnded = async (gameId = null) => {
+  const filter = { isArchived: false, end: { $lte: Date.now() } };
+  if (gameId) filter.game = gameId;
+
+  const seasons = await Season.find(filter).sort({ end: 1 });
+
+  const archived = [];
+
+  for (let i = 0; i < seasons.length; i++) {
+    const season = await archiveSeason(seasons[i]);
+    if (season) archived.push(season);
+  }
+
+  return archived;
+};
+
+let interval = null;
+
+const start = (every = 60 * 1000) => {
+  if (!interval) interval = setInterval(() => archiveEnded().catch(err => console.log(err.message)), every);
+};
+
+module.exports = {
+  currentSeason,
+  overlapsSeason,
+  archiveSeason,
+  archiveEnded,
+  start,
+};
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('config');
+
+const Session = require('../models/Session');
+
+const getSetting = require('../helpers').getSetting;
+
+const { userRoom, sessionRoom, disconnectRoom } = require('./socket');
+
+// Lifetimes in seconds
+const accessTokenExpiry = () => getSetting('accessTokenExpiry', 3600);
+const refreshTokenExpiry = () => getSetting('refreshTokenExpiry', 30 * 24 * 3600);
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  {
+    user: {
+      id: userId.toString(),
+      session: sessionId.toString(),
+    },
+  },
+  config.get('jwtSecret'),
+  { expiresIn: accessTokenExpiry() },
+);
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const refreshExpires = () => new Date(Date.now() + refreshTokenExpiry() * 1000);
+
+// Refresh tokens carry the session id so the session can be found without the hash
+const tokensFor = (session, secret) => ({
+  token: signAccessToken(session.user, session.id),
+  refreshToken: `${session.id}.${secret}`,
+});
+
+const createSession = async (userId, device) => {
+  const secret = newSecret();
+
+  const session = new Session({
+    user: userId,
+    device,
+    tokenHash: hash(secret),
+    expires: refreshExpires(),
+  });
+
+  await session.save();
+
+  return tokensFor(session, secret);
+};
+
+// Exchanges a refresh token for a new token pair. The old refresh token stops working -
+// if it is used again the token was stolen, so the whole session is revoked.
+// The token is swapped with a conditional update, so of two requests with the same token only one gets
+// the new pair and the other counts as reuse.
+const rotate = async refreshToken => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+  const next = newSecret();
+  const active = { _id: sessionId, revoked: false, expires: { $gt: Date.now() } };
+
+  const session = await Session.findOneAndUpdate(
+    { ...active, tokenHash: hash(secret) },
+    { tokenHash: hash(next), expires: refreshExpires(), lastUsed: Date.now() },
+    { new: true },
+  );
+
+  if (session) return tokensFor(session, next);
+
+  // An active session with another token means the token was used before
+  const reused = await Session.findOneAndUpdate(active, { revoked: true });
+  if (reused) disconnectRoom(sessionRoom(sessionId));
+
+  return null;
+};
+
+// Revoking also disconnects the sockets opened with the session's tokens
+const revoke = async sessionId => {
+  await Session.updateOne({ _id: sessionId }, { revoked: true });
+  disconnectRoom(sessionRoom(sessionId));
+};
+
+// Revokes every session of the user, except the one passed as keep
+const revokeAll = async (userId, keep) => {
+  if (!keep) {
+    await Session.updateMany({ user: userId, revoked: false }, { revoked: true });
+    return disconnectRoom(userRoom(userId));
+  }
+
+  const sessions = await Session.find({ user: userId, revoked: false, _id: { $ne: keep } }).select('_id');
+
+  await Session.updateMany({ _id: { $in: sessions.map(session => session._id) } }, { revoked: true });
+  sessions.forEach(session => disconnectRoom(sessionRoom(session.id)));
+};
+
+// Verifies an access token and checks its session is still active, returns the token user
+const verifyToken = async token => {
+  const { user } = jwt.verify(token, config.get('jwtSecret'));
+  if (!user.session) throw new Error('Token has no session');
+
+  const session = await Session.findOne({ _id: user.session, user: user.id }).select(['revoked', 'expires']);
+  if (!session || session.revoked || session.expires < Date.now()) throw new Error('Session has been revoked');
+
+  return user;
+};
+
+module.exports = {
+  createSession,
+  rotate,
+  revoke,
+  revokeAll,
+  verifyToken,
+};
@@ -0,0 +1,86 @@
+// Keeps a reference to the socket.io server so routes can emit events
+let io = null;
+
+const init = server => {
+  io = server;
+  return io;
+};
+
+const getIo = () => io;
+
+const userRoom = userId => `user:${userId}`;
+
+// Rooms are prefixed, so a game name can't be the name of another room
+const gameRoom = gameName => `game:${gameName.toLowerCase()}`;
+
+const tournamentRoom = tournamentId => `tournament:${tournamentId}`;
+
+const matchRoom = matchId => `match:${matchId}`;
+
+// Public matches of a game for the match browser
+const lobbyRoom = gameId => `lobby:${gameId}`;
+
+// Sockets of a session or API key, used to disconnect them when it is revoked
+const sessionRoom = sessionId => `session:${sessionId}`;
+
+const apiKeyRoom = apiKeyId => `key:${apiKeyId}`;
+
+const emitToUser = (userId, event, data) => {
+  if (io) io.to(userRoom(userId.toString())).emit(event, data);
+};
+
+const emitToGame = (gameName, event, data) => {
+  if (io) io.to(gameRoom(gameName)).emit(event, data);
+};
+
+const emitToRoom = (room, event, data) => {
+  if (io) io.to(room).emit(event, data);
+};
+
+const emitToMatch = (matchId, event, data) => {
+  if (io) io.to(matchRoom(matchId.toString())).emit(event, data);
+};
+
+// socket.io 3 has no disconnectSockets, so the sockets in the room are disconnected one by one
+const disconnectRoom = room => {
+  if (!io) return;
+
+  const ids = io.sockets.adapter.rooms.get(room);
+  if (!ids) return;
+
+  [...ids].forEach(id => {
+    const socket = io.sockets.sockets.get(id);
+    if (socket) socket.disconnect(true);
+  });
+};
+
+// Takes the sockets of one room out of another, e.g. the sockets of a kicked user out of the match room
+const leaveRoom = (room, target) => {
+  if (!io) return;
+
+  const ids = io.sockets.adapter.rooms.get(room);
+  if (!ids) return;
+
+  [...ids].forEach(id => {
+    const socket = io.sockets.sockets.get(id);
+    if (socket) socket.leave(target);
+  });
+};
+
+module.exports = {
+  init,
+  getIo,
+  userRoom,
+  gameRoom,
+  tournamentRoom,
+  matchRoom,
+  lobbyRoom,
+  sessionRoom,
+  apiKeyRoom,
+  emitToUser,
+  emitToGame,
+  emitToRoom,
+  emitToMatch,
+  disconnectRoom,
+  leaveRoom,
+};
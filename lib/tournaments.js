@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const Clan = require('../models/Clan');
+const Game = require('../models/Game');
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+const Tournament = require('../models/Tournament');
+
+const getTeamStandings = require('../helpers').getTeamStandings;
+
+const bracket = require('./bracket');
+const { emitToRoom, tournamentRoom } = require('./socket');
+
+const hashSecret = async () => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(crypto.randomBytes(16).toString('hex'), salt);
+};
+
+const getParticipant = (tournament, id) => tournament.participants.find(p => id && p._id.toString() === id.toString());
+
+// Players are seeded by their xp or rating in the game, clans by the average of their members
+const seedParticipants = async tournament => {
+  const game = await Game.findOne({ _id: tournament.game }).select('players');
+  const clans = await Clan.find({ _id: { $in: tournament.participants.map(p => p.clan).filter(clan => clan) } }).select('members');
+
+  const statOf = userId => {
+    const player = game.players.find(p => p.user.toString() === userId.toString());
+    return player ? player[tournament.seedBy] : 0;
+  };
+
+  const scored = tournament.participants.map(participant => {
+    if (participant.user) return { participant, score: statOf(participant.user) };
+
+    const clan = clans.find(c => c.id === participant.clan.toString());
+    const members = clan ? clan.members : [];
+
+    return { participant, score: members.reduce((total, { user }) => total + statOf(user), 0) / (members.length || 1) };
+  });
+
+  scored
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ participant }, index) => { participant.seed = index + 1; });
+};
+
+// Creates the match of a bracket node - clans are entered with all their members as a team.
+// The node is claimed with a conditional update, so when two requests start the same node only one match is kept.
+const createNodeMatch = async (tournament, node) => {
+  const sides = [getParticipant(tournament, node.a), getParticipant(tournament, node.b)];
+
+  const match = new Match({
+    name: `${tournament.name} ${node.key}`,
+    host: tournament.organizer,
+    game: tournament.game,
+    tournament: tournament.id,
+    secret: await hashSecret(),
+  });
+
+  const teams = [];
+
+  if (tournament.participantType === 'player') {
+    sides.forEach(({ user }) => match.players.push({ user }));
+  } else {
+    for (let i = 0; i < sides.length; i++) {
+      const clan = await Clan.findOne({ _id: sides[i].clan });
+      const members = clan ? clan.members : [];
+
+      const team = new Team({
+        name: sides[i].name,
+        owner: clan ? clan.owner : tournament.organizer,
+        game: tournament.game,
+        match: match.id,
+        clan: sides[i].clan,
+        members: members.map(({ user }) => ({ user })),
+      });
+
+      await team.save();
+      teams.push(team);
+
+      match.teams.push(team);
+      members.forEach(({ user }) => match.players.push({ user }));
+    }
+  }
+
+  await match.save();
+
+  const claimed = await Tournament.updateOne(
+    { _id: tournament.id, nodes: { $elemMatch: { _id: node._id, match: null } } },
+    { $set: { 'nodes.$.match': match.id }, $inc: { __v: 1 } },
+  );
+
+  if (claimed.nModified === 0) {
+    await Team.deleteMany({ _id: { $in: teams.map(team => team._id) } });
+    await match.remove();
+
+    return null;
+  }
+
+  node.match = match.id;
+
+  return match;
+};
+
+// Nodes that have both participants but no match yet - round robin rounds start once the round before is over
+const awaitingMatch = tournament => tournament.nodes.filter(node => node.status === 'ready' && !node.match && (
+  tournament.format !== 'round-robin' || tournament.nodes.every(n => n.round >= node.round || n.status === 'completed')
+));
+
+// Creates the matches of the nodes that are waiting for one, returns the number of matches created
+const startMatches = async tournament => {
+  const nodes = awaitingMatch(tournament);
+  let started = 0;
+
+  for (let i = 0; i < nodes.length; i++) {
+    if (await createNodeMatch(tournament, nodes[i])) started += 1;
+  }
+
+  return started;
+};
+
+// Round robin - wins first, the better seed on equal wins
+const getStandings = tournament => tournament.participants
+  .map(participant => ({
+    participant: participant._id,
+    name: participant.name,
+    seed: participant.seed,
+    wins: tournament.nodes.filter(node => node.winner && node.winner.toString() === participant.id).length,
+    losses: tournament.nodes.filter(node => node.loser && node.loser.toString() === participant.id).length,
+  }))
+  .sort((a, b) => b.wins - a.wins || a.seed - b.seed);
+
+const broadcast = tournament => emitToRoom(tournamentRoom(tournament.id), 'bracketUpdate', {
+  tournament: tournament.id,
+  status: tournament.status,
+  winner: tournament.winner,
+  nodes: tournament.nodes,
+});
+
+// Saved with a version check - a tournament that was started or changed in the meantime fails with a VersionError
+const startTournament = async tournament => {
+  await seedParticipants(tournament);
+
+  const seeded = [...tournament.participants].sort((a, b) => a.seed - b.seed);
+
+  tournament.nodes = bracket.build(tournament.format, seeded.map(participant => participant._id));
+
+  // Byes of the first round move on straight away, the nodes that are left wait for their match
+  bracket.start(tournament.nodes, tournament.format);
+
+  tournament.status = 'in-progress';
+  tournament.increment();
+  await tournament.save();
+
+  await startMatches(tournament);
+
+  broadcast(tournament);
+
+  return tournament;
+};
+
+// Score of a participant in the final result of the match
+const scoreOf = (tournament, participant, result, teams) => {
+  if (tournament.participantType === 'player') {
+    const player = result.players.find(p => p.user.toString() === participant.user.toString());
+    return player ? player.xp : 0;
+  }
+
+  const team = teams.find(t => t.clan && t.clan.toString() === participant.clan.toString());
+  const standing = team ? result.teams.find(t => t.team.toString() === team.id) : null;
+
+  return standing ? standing.xp : 0;
+};
+
+// Gives the node to the winner and moves the bracket on. Equal scores go to the better seed.
+const decideNode = (tournament, node, result, teams) => {
+  const a = getParticipant(tournament, node.a);
+  const b = getParticipant(tournament, node.b);
+
+  const scoreA = scoreOf(tournament, a, result, teams);
+  const scoreB = scoreOf(tournament, b, result, teams);
+
+  const aWins = scoreA > scoreB || (scoreA === scoreB && a.seed < b.seed);
+  const [winner, loser] = aWins ? [a, b] : [b, a];
+
+  if (tournament.format === 'round-robin') {
+    node.winner = winner._id;
+    node.loser = loser._id;
+    node.status = 'completed';
+
+    if (tournament.nodes.every(n => n.status === 'completed')) {
+      tournament.status = 'completed';
+      tournament.winner = getStandings(tournament)[0].participant;
+    }
+  } else {
+    bracket.advance(tournament.nodes, node, winner._id, loser._id);
+
+    // The final is the only node the winner doesn't move on from
+    const final = tournament.nodes.find(n => !(n.winnerTo && n.winnerTo.key));
+
+    if (final.status === 'completed' || final.status === 'bye') {
+      tournament.status = 'completed';
+      tournament.winner = final.winner;
+    }
+  }
+};
+
+const MAX_ATTEMPTS = 5;
+
+// Decides the node of a finished tournament match and creates the matches that are now ready.
+// The tournament is saved with a version check, so when two matches of a tournament finish at the same time
+// the later save fails and is decided again on a fresh copy.
+const resolveMatch = async (match, result, teams) => {
+  if (!match.tournament) return null;
+
+  for (let attempt = 1; ; attempt++) {
+    const tournament = await Tournament.findOne({ _id: match.tournament });
+    if (!tournament || tournament.status !== 'in-progress') return null;
+
+    const node = tournament.nodes.find(n => n.match && n.match.toString() === match.id);
+    if (!node) return null;
+
+    // Already decided - a retry still creates the matches an earlier attempt didn't get to
+    if (node.status !== 'ready') {
+      if (await startMatches(tournament)) broadcast(tournament);
+      return null;
+    }
+
+    decideNode(tournament, node, result, teams);
+    tournament.increment();
+
+    try {
+      await tournament.save();
+    } catch (err) {
+      if (err.name !== 'VersionError' || attempt === MAX_ATTEMPTS) throw err;
+      continue;
+    }
+
+    await startMatches(tournament);
+
+    broadcast(tournament);
+
+    return tournament;
+  }
+};
+
+// Called when a match is completed
+const onMatchCompleted = (match, result, teams) => resolveMatch(match, result, teams);
+
+// Called when a match is abandoned - the bracket can't wait for a match that will never finish, so the node
+// is decided as a forfeit on the points scored so far
+const onMatchAbandoned = async match => {
+  if (!match.tournament) return null;
+
+  const teams = await Team.find({ match: match.id });
+
+  return resolveMatch(match, { players: match.players, teams: getTeamStandings(match.players, teams) }, teams);
+};
+
+module.exports = {
+  getStandings,
+  startTournament,
+  onMatchCompleted,
+  onMatchAbandoned,
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+const auth = require('./auth');
+
+const ApiKey = require('../models/ApiKey');
+
+// Keys look like zsri_<prefix>_<secret>
+const parseKey = key => {
+  const [brand, prefix, secret] = key.split('_');
+  if (brand !== 'zsri' || !prefix || !secret) return null;
+
+  return { prefix, secret };
+};
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Returns the API key document, or null if the key is unknown, revoked or the secret doesn't match
+const verifyKey = async key => {
+  const parsed = parseKey(key);
+  if (!parsed) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix: parsed.prefix, revoked: false });
+
+  const expected = apiKey ? Buffer.from(apiKey.keyHash) : Buffer.alloc(0);
+  const actual = Buffer.from(hashSecret(parsed.secret));
+
+  if (!apiKey || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  return apiKey;
+};
+
+// Authenticates game servers by the x-api-key header and requires the key to have the scope.
+// With orUser the route also accepts a user token when no key is sent.
+module.exports = function apiKey(scope, { orUser = false } = {}) {
+  return async (req, res, next) => {
+    const key = req.header('x-api-key');
+
+    if (!key) {
+      if (orUser) return auth(req, res, next);
+      return res.status(401).json({ msg: 'No API key, authorization denied' });
+    }
+
+    try {
+      const apiKey = await verifyKey(key);
+      if (!apiKey) return res.status(401).json({ msg: 'API key is not valid' });
+
+      if (!apiKey.scopes.includes(scope)) return res.status(403).json({ msg: `API key is missing the ${scope} scope` });
+
+      apiKey.lastUsed = Date.now();
+      await apiKey.save();
+
+      req.apiKey = {
+        id: apiKey.id,
+        game: apiKey.game.toString(),
+        scopes: apiKey.scopes,
+      };
+    } catch (err) {
+      console.log(err.message);
+      return res.status(500).send('Server error');
+    }
+
+    next();
+  };
+};
+
+module.exports.hashSecret = hashSecret;
+module.exports.verifyKey = verifyKey;
@@ -1,19 +1,33 @@
-const jwt = require('jsonwebtoken');
-const config = require('config');
+const { verifyToken } = require('../lib/session');
 
-module.exports = function auth(req, res, next) {
+const User = require('../models/User');
+
+module.exports = async function auth(req, res, next) {
   // Get token from header
   const token = req.header('x-auth-token');
 
   // Check if no token
   if (!token) return res.status(401).json({ msg: 'No token, authorization denied' });
 
-  // Verify token
+  // Verify token and its session
+  try {
+    req.user = await verifyToken(token);
+  } catch (err) {
+    return res.status(401).json({ msg: 'Token is not valid' });
+  }
+
+  // Roles and bans can change while the token is valid, so they are read on every request
   try {
-    const decoded = jwt.verify(token, config.get('jwtSecret'));
-    req.user = decoded.user;
-    next();
+    const user = await User.findById(req.user.id).select(['role', 'status', 'suspendedUntil']);
+    if (!user) return res.status(401).json({ msg: 'Token is not valid' });
+
+    if (user.isBlocked()) return res.status(403).json({ msg: `User is ${user.status}`, until: user.suspendedUntil });
+
+    req.user.role = user.role;
   } catch (err) {
-    res.status(401).json({ msg: 'Token is not valid' });
+    console.log(err.message);
+    return res.status(500).send('Server error');
   }
+
+  next();
 };
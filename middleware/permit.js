@@ -0,0 +1,13 @@
+// Only lets users with one of the roles through - use after auth
+module.exports = function permit(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) return res.status(401).json({ msg: 'User not authorized' });
+
+    next();
+  };
+};
+
+// Ownership checks with an override for staff, e.g. isOwnerOr(req.user, game.developer, 'admin')
+module.exports.isOwnerOr = (user, ownerId, ...roles) => (
+  (!!ownerId && ownerId.toString() === user.id) || roles.includes(user.role)
+);
@@ -0,0 +1,63 @@
+const {
+  consume,
+  lockedFor,
+  recordAttempt,
+  forgiveAttempt,
+  clearFailures,
+} = require('../lib/rateLimit');
+
+const tooMany = (res, wait, msg) => {
+  res.set('Retry-After', String(Math.ceil(wait / 1000)));
+  return res.status(429).json({ msg });
+};
+
+// Limits the requests an address makes to the route, see LIMITS in lib/rateLimit. getKey counts the
+// requests by something else, e.g. the email the route sends to - requests without a key aren't counted.
+const rateLimit = (name, getKey = req => `ip:${req.ip}`) => async (req, res, next) => {
+  const key = getKey(req);
+
+  try {
+    const wait = key ? await consume(name, key) : 0;
+    if (wait > 0) return tooMany(res, wait, 'Too many requests, try again later');
+  } catch (err) {
+    console.log(err.message);
+    return res.status(500).send('Server error');
+  }
+
+  next();
+};
+
+// Refuses the request while any of the keys is locked out after repeated failures. The route counts the
+// attempt with req.bruteForce.attempt() right before it checks the password or secret - it sends the 429 and
+// resolves to true when the attempt is refused. A wrong one stays counted, req.bruteForce.succeed() clears
+// the failures after a right one and req.bruteForce.forgive() takes back an attempt that wasn't a guess.
+const bruteForce = (name, getKeys) => async (req, res, next) => {
+  const keys = getKeys(req).filter(Boolean);
+
+  try {
+    const wait = await lockedFor(name, keys);
+    if (wait > 0) return tooMany(res, wait, 'Too many failed attempts, try again later');
+  } catch (err) {
+    console.log(err.message);
+    return res.status(500).send('Server error');
+  }
+
+  let locked = [];
+
+  req.bruteForce = {
+    attempt: async () => {
+      const counted = await recordAttempt(name, keys);
+      if (counted.wait > 0) return !!tooMany(res, counted.wait, 'Too many failed attempts, try again later');
+
+      locked = counted.locked;
+      return false;
+    },
+    succeed: () => clearFailures(name, keys),
+    forgive: () => forgiveAttempt(name, keys, locked),
+  };
+
+  next();
+};
+
+module.exports = rateLimit;
+module.exports.bruteForce = bruteForce;
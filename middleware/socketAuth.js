@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+
+const { verifyToken } = require('../lib/session');
+const { verifyKey } = require('./apiKey');
+const { userRoom, sessionRoom, apiKeyRoom } = require('../lib/socket');
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT = 2147483647;
+
+// Authenticates socket connections by the token or API key sent in the handshake - io(url, { auth: { token } }).
+// Connections without either stay anonymous and can only follow game leaderboards.
+module.exports = async function socketAuth(socket, next) {
+  const { token, apiKey } = socket.handshake.auth || {};
+
+  socket.user = null;
+  socket.apiKey = null;
+
+  if (!token && !apiKey) return next();
+
+  try {
+    if (token) {
+      socket.user = await verifyToken(token);
+      socket.expires = jwt.decode(token).exp * 1000;
+    } else {
+      const key = await verifyKey(apiKey);
+      if (!key) return next(new Error('API key is not valid'));
+
+      socket.apiKey = {
+        id: key.id,
+        game: key.game.toString(),
+        scopes: key.scopes,
+      };
+    }
+  } catch (err) {
+    return next(new Error('Token is not valid'));
+  }
+
+  next();
+};
+
+// Run on connection - joins the rooms used to disconnect the socket when its session or key is revoked,
+// and disconnects it when the token expires
+module.exports.joinAuthRooms = socket => {
+  if (socket.apiKey) return socket.join(apiKeyRoom(socket.apiKey.id));
+  if (!socket.user) return;
+
+  socket.join(userRoom(socket.user.id));
+  socket.join(sessionRoom(socket.user.session));
+
+  const timer = setTimeout(() => socket.disconnect(true), Math.min(socket.expires - Date.now(), MAX_TIMEOUT));
+  socket.on('disconnect', () => clearTimeout(timer));
+};
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const PURPOSES = ['verify-email', 'reset-password'];
+
+// Single use token sent by email - the JWT sent to the user carries the id of this document
+const AccountTokenSchema = new mongoose.Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true,
+  },
+  // Email the token was sent to, verification fails if the user changed it since
+  email: {
+    type: String,
+  },
+  expires: {
+    type: Date,
+    required: true,
+  },
+  used: {
+    type: Date,
+    default: null,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AccountTokenSchema.statics.PURPOSES = PURPOSES;
+
+const AccountToken = mongoose.model('accountToken', AccountTokenSchema);
+
+module.exports = AccountToken;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RULE_TYPES = ['item', 'wins', 'matches', 'xp', 'placement'];
+
+// Achievement definition of a game - unlocked when the player reaches the rule threshold
+const AchievementSchema = new mongoose.Schema({
+  game: {
+    type: Schema.Types.ObjectId,
+    ref: 'games',
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+  },
+  rule: {
+    type: {
+      type: String,
+      enum: RULE_TYPES,
+      required: true,
+    },
+    // Item rules count how many times the item was scored
+    item: {
+      type: String,
+    },
+    threshold: {
+      type: Number,
+      default: 1,
+    },
+    // Placement rules need the player (or the team with teamMatch) to finish at this place or better
+    place: {
+      type: Number,
+      default: 1,
+    },
+    teamMatch: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+AchievementSchema.index({ game: 1, key: 1 }, { unique: true });
+
+AchievementSchema.statics.RULE_TYPES = RULE_TYPES;
+
+const Achievement = mongoose.model('achievement', AchievementSchema);
+
+module.exports = Achievement;
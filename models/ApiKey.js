@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SCOPES = ['play', 'stop', 'results:write'];
+
+// Key used by game servers - only the hash of the secret part is stored
+const ApiKeySchema = new mongoose.Schema({
+  game: {
+    type: Schema.Types.ObjectId,
+    ref: 'games',
+    required: true,
+  },
+  developer: {
+    type: Schema.Types.ObjectId,
+    ref: 'users',
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+  },
+  scopes: [
+    {
+      type: String,
+      enum: SCOPES,
+    }
+  ],
+  revoked: {
+    type: Boolean,
+    default: false,
+  },
+  lastUsed: {
+    type: Date,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ApiKeySchema.statics.SCOPES = SCOPES;
+
+const ApiKey = mongoose.model('apikey', ApiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ROLES = ['owner', 'officer', 'member'];
+
+// Persistent team of a game, entered into matches as a team
+const ClanSchema = new mongoose.Schema({
+  game: {
+    type: Schema.Types.ObjectId,
+    ref: 'games',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  tag: {
+    type: String,
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+  },
+  members: [
+    {
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+      },
+      role: {
+        type: String,
+        enum: ROLES,
+        default: 'member',
+      },
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    }
+  ],
+  // Sent by owners and officers, accepted by the invited user
+  invitations: [
+    {
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+      },
+      invitedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+      },
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    }
+  ],
+  // Sent by users, accepted by owners and officers
+  requests: [
+    {
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+      },
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    }
+  ],
+  record: {
+    wins: {
+      type: Number,
+      default: 0,
+    },
+    losses: {
+      type: Number,
+      default: 0,
+    },
+    draws: {
+      type: Number,
+      default: 0,
+    },
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+ClanSchema.index({ game: 1, name: 1 }, { unique: true });
+
+ClanSchema.statics.ROLES = ROLES;
+
+const Clan = mongoose.model('clan', ClanSchema);
+
+module.exports = Clan;
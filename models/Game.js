@@ -1,6 +1,18 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const { DEFAULT_RATING, DEFAULT_DEVIATION } = require('../lib/rating');
+
+// Items end up in the paths of the item counts, so they can't contain dots or start with $
+const ITEM_PATTERN = /^[a-z0-9_-]+$/i;
+
+// The items every game scored before scoring rules could be set
+const DEFAULT_SCORING = [
+  { item: 'dot', points: 10 },
+  { item: 'fruit', points: 50 },
+  { item: 'ghost', points: 300 },
+];
+
 const GameSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -17,6 +29,64 @@ const GameSchema = new mongoose.Schema({
       ref: 'matches',
     },
   ],
+  scoring: [
+    {
+      item: {
+        type: String,
+        required: true,
+        match: ITEM_PATTERN,
+      },
+      points: {
+        type: Number,
+        required: true,
+      },
+      multiplier: {
+        type: Number,
+        default: 1,
+      },
+      // Maximum number of times a player can score the item in one match
+      maxPerMatch: {
+        type: Number,
+      },
+    }
+  ],
+  matchmaking: {
+    teams: {
+      type: Number,
+      default: 2,
+    },
+    teamSize: {
+      type: Number,
+      default: 1,
+    },
+    // Allowed rating difference within a match, widened the longer players wait
+    ratingRange: {
+      type: Number,
+      default: 100,
+    },
+  },
+  // Plausibility limits for scoring - empty limits are not checked
+  antiCheat: {
+    maxPointsPerSecond: {
+      type: Number,
+      default: null,
+    },
+    // Seconds the points per second are averaged over
+    window: {
+      type: Number,
+      default: 10,
+    },
+    maxPointsPerMatch: {
+      type: Number,
+      default: null,
+    },
+    // flag - the score counts and waits for review, reject - the score is refused
+    action: {
+      type: String,
+      enum: ['flag', 'reject'],
+      default: 'flag',
+    },
+  },
   players: [
     {
       user: {
@@ -27,6 +97,78 @@ const GameSchema = new mongoose.Schema({
         type: Number,
         default: 0,
       },
+      wins: {
+        type: Number,
+        default: 0,
+      },
+      matches: {
+        type: Number,
+        default: 0,
+      },
+      // Lifetime count of scored items, added when a match is stopped
+      items: {
+        type: Map,
+        of: Number,
+        default: {},
+      },
+      // Record of the player in team matches
+      teamWins: {
+        type: Number,
+        default: 0,
+      },
+      teamLosses: {
+        type: Number,
+        default: 0,
+      },
+      teamDraws: {
+        type: Number,
+        default: 0,
+      },
+      // Stats of the seasons by season id - a season's entry is removed once it's archived
+      seasons: {
+        type: Map,
+        of: new Schema({
+          xp: {
+            type: Number,
+            default: 0,
+          },
+          wins: {
+            type: Number,
+            default: 0,
+          },
+          matches: {
+            type: Number,
+            default: 0,
+          },
+        }, { _id: false }),
+        default: {},
+      },
+      rating: {
+        type: Number,
+        default: DEFAULT_RATING,
+      },
+      deviation: {
+        type: Number,
+        default: DEFAULT_DEVIATION,
+      },
+      ratingHistory: [
+        {
+          match: {
+            type: Schema.Types.ObjectId,
+            ref: 'matches',
+          },
+          rating: {
+            type: Number,
+          },
+          deviation: {
+            type: Number,
+          },
+          date: {
+            type: Date,
+            default: Date.now,
+          },
+        }
+      ],
     }
   ],
   date: {
@@ -35,6 +177,9 @@ const GameSchema = new mongoose.Schema({
   },
 });
 
+GameSchema.statics.ITEM_PATTERN = ITEM_PATTERN;
+GameSchema.statics.DEFAULT_SCORING = DEFAULT_SCORING;
+
 const Game = mongoose.model('game', GameSchema);
 
 module.exports = Game;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Join code for a match or a team - redeeming it joins without the secret
+const InviteSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  game: {
+    type: Schema.Types.ObjectId,
+    ref: 'games',
+    required: true,
+  },
+  // Set for match invites
+  match: {
+    type: Schema.Types.ObjectId,
+    ref: 'match',
+  },
+  // Set for team invites
+  team: {
+    type: Schema.Types.ObjectId,
+    ref: 'team',
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+  },
+  // Null for invites that don't expire
+  expires: {
+    type: Date,
+    default: null,
+  },
+  // Null for invites without a limit
+  maxUses: {
+    type: Number,
+    default: null,
+  },
+  uses: {
+    type: Number,
+    default: 0,
+  },
+  revoked: {
+    type: Boolean,
+    default: false,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const Invite = mongoose.model('invite', InviteSchema);
+
+module.exports = Invite;
@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const STATUSES = ['lobby', 'ready-check', 'in-progress', 'paused', 'completed', 'abandoned'];
+
+// Public matches are listed in the match browser of the game and joined without the secret
+const VISIBILITIES = ['public', 'private'];
+
 const MatchSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -30,20 +35,106 @@ const MatchSchema = new mongoose.Schema({
       xp: {
         type: Number,
         default: 0,
-      }
+      },
+      items: {
+        type: Map,
+        of: Number,
+        default: {},
+      },
+      ready: {
+        type: Boolean,
+        default: false,
+      },
+      // Set when the player leaves or is kicked after the match started - the points they scored are kept
+      left: {
+        type: Date,
+      },
     }
   ],
+  // Users the host removed, they can't join again
+  kicked: [
+    {
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+      },
+      by: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+      },
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    }
+  ],
+  // Set for matches created by a tournament bracket
+  tournament: {
+    type: Schema.Types.ObjectId,
+    ref: 'tournaments',
+  },
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'private',
+  },
   secret: {
     type: String,
-    required: true,
+    required: function isSecretRequired() {
+      return this.visibility !== 'public';
+    },
+  },
+  // Null for matches without a limit
+  maxPlayers: {
+    type: Number,
+    default: null,
+  },
+  maxTeams: {
+    type: Number,
+    default: null,
+  },
+  // Sequence number of the last scored event
+  eventSeq: {
+    type: Number,
+    default: 0,
   },
   result: {
     type: Schema.Types.ObjectId,
     ref: 'results'
   },
-  isCompleted: {
-    type: Boolean,
-    default: false,
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'lobby',
+  },
+  statusHistory: [
+    {
+      from: {
+        type: String,
+      },
+      to: {
+        type: String,
+      },
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    }
+  ],
+  startedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  // Idempotency key of the completion - retries with the same key get the saved result
+  completionKey: {
+    type: String,
+  },
+  // Used to abandon idle matches
+  lastActivity: {
+    type: Date,
+    default: Date.now,
   },
   date: {
     type: Date,
@@ -51,6 +142,27 @@ const MatchSchema = new mongoose.Schema({
   },
 });
 
+MatchSchema.index({ game: 1, visibility: 1, status: 1 });
+
+MatchSchema.statics.STATUSES = STATUSES;
+MatchSchema.statics.VISIBILITIES = VISIBILITIES;
+
+MatchSchema.methods.isFull = function isFull() {
+  return this.maxPlayers !== null && this.players.length >= this.maxPlayers;
+};
+
+MatchSchema.methods.isKicked = function isKicked(userId) {
+  return this.kicked.some(entry => entry.user.toString() === userId.toString());
+};
+
+MatchSchema.methods.hasTeamSlot = function hasTeamSlot() {
+  return this.maxTeams === null || this.teams.length < this.maxTeams;
+};
+
+MatchSchema.virtual('isCompleted').get(function isCompleted() {
+  return this.status === 'completed';
+});
+
 const Match = mongoose.model('match', MatchSchema);
 
 module.exports = Match;
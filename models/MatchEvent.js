@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Append-only log of the items scored during a match
+const MatchEventSchema = new mongoose.Schema({
+  match: {
+    type: Schema.Types.ObjectId,
+    ref: 'matches',
+    required: true,
+  },
+  game: {
+    type: Schema.Types.ObjectId,
+    ref: 'games',
+    required: true,
+  },
+  player: {
+    type: Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+  },
+  item: {
+    type: String,
+    required: true,
+  },
+  points: {
+    type: Number,
+    required: true,
+  },
+  // Order of the event within the match, starting at 1
+  seq: {
+    type: Number,
+    required: true,
+  },
+  // Sequence number sent by the client, the same number can't be scored twice
+  clientSeq: {
+    type: Number,
+  },
+  // Set when the event broke an anti-cheat limit, see lib/antiCheat.js
+  flag: {
+    reason: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'voided'],
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'users',
+    },
+    reviewed: {
+      type: Date,
+    },
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+MatchEventSchema.index({ match: 1, seq: 1 }, { unique: true });
+MatchEventSchema.index({ match: 1, player: 1, clientSeq: 1 }, { unique: true, partialFilterExpression: { clientSeq: { $exists: true } } });
+MatchEventSchema.index({ game: 1, 'flag.status': 1 });
+
+const MatchEvent = mongoose.model('matchevent', MatchEventSchema);
+
+module.exports = MatchEvent;
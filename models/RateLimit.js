@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Request or failure counter of the Mongo rate limit store, removed by MongoDB once it expires
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  expires: {
+    type: Date,
+    required: true,
+  },
+});
+
+RateLimitSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model('ratelimit', RateLimitSchema);
+
+module.exports = RateLimit;
@@ -14,6 +14,40 @@ const ResultSchema = new mongoose.Schema({
       },      
     }
   ],
+  // Team standings of team matches, best team first
+  teams: [
+    {
+      team: {
+        type: Schema.Types.ObjectId,
+        ref: 'teams',
+      },
+      name: {
+        type: String,
+      },
+      xp: {
+        type: Number,
+      },
+      rank: {
+        type: Number,
+      },
+      members: [
+        {
+          user: {
+            type: Schema.Types.ObjectId,
+            ref: 'users',
+          },
+          xp: {
+            type: Number,
+          },
+        }
+      ],
+    }
+  ],
+  // Not set when the match has no teams or the best teams are tied
+  winningTeam: {
+    type: Schema.Types.ObjectId,
+    ref: 'teams',
+  },
   match: {
     type: Schema.Types.ObjectId,    
     ref: 'match',
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Last change stream position processed by a server instance, so it can resume after a restart
+const ResumeTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  token: {
+    type: Schema.Types.Mixed,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const ResumeToken = mongoose.model('resumeToken', ResumeTokenSchema);
+
+module.exports = ResumeToken;
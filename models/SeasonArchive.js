@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Final standings of a season
+const SeasonArchiveSchema = new mongoose.Schema({
+  season: {
+    type: Schema.Types.ObjectId,
+    ref: 'seasons',
+    required: true,
+    unique: true,
+  },
+  game: {
+    type: Schema.Types.ObjectId,
+    ref: 'games',
+    required: true,
+  },
+  name: {
+    type: String,
+  },
+  start: {
+    type: Date,
+  },
+  end: {
+    type: Date,
+  },
+  standings: [
+    {
+      rank: {
+        type: Number,
+      },
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+      },
+      xp: {
+        type: Number,
+      },
+      wins: {
+        type: Number,
+      },
+      matches: {
+        type: Number,
+      },
+      rating: {
+        type: Number,
+      },
+    }
+  ],
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const SeasonArchive = mongoose.model('seasonarchive', SeasonArchiveSchema);
+
+module.exports = SeasonArchive;
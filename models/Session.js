@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A logged in device - holds the hash of its current refresh token
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+  },
+  device: {
+    type: String,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  expires: {
+    type: Date,
+    required: true,
+  },
+  revoked: {
+    type: Boolean,
+    default: false,
+  },
+  lastUsed: {
+    type: Date,
+    default: Date.now,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const Session = mongoose.model('session', SessionSchema);
+
+module.exports = Session;
@@ -18,6 +18,11 @@ const TeamSchema = new mongoose.Schema({
     type: Schema.Types.ObjectId,    
     ref: 'match',
   },
+  // Set when a clan was entered into the match - clan members join without the secret
+  clan: {
+    type: Schema.Types.ObjectId,
+    ref: 'clans',
+  },
   members: [
     {
       user: {
@@ -26,9 +31,25 @@ const TeamSchema = new mongoose.Schema({
       }
     }
   ],
+  record: {
+    wins: {
+      type: Number,
+      default: 0,
+    },
+    losses: {
+      type: Number,
+      default: 0,
+    },
+    draws: {
+      type: Number,
+      default: 0,
+    },
+  },
   secret: {
     type: String,
-    required: true,
+    required: function isSecretRequired() {
+      return !this.clan;
+    },
   },
   date: {
     type: Date,
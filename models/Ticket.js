@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A player waiting in the matchmaking queue of a game
+const TicketSchema = new mongoose.Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+  },
+  game: {
+    type: Schema.Types.ObjectId,
+    ref: 'games',
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TicketSchema.index({ user: 1, game: 1 }, { unique: true });
+
+const Ticket = mongoose.model('ticket', TicketSchema);
+
+module.exports = Ticket;
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const FORMATS = ['single-elimination', 'double-elimination', 'round-robin'];
+
+const slotSchema = {
+  key: {
+    type: String,
+  },
+  slot: {
+    type: String,
+    enum: ['a', 'b'],
+  },
+};
+
+const TournamentSchema = new mongoose.Schema({
+  game: {
+    type: Schema.Types.ObjectId,
+    ref: 'games',
+    required: true,
+  },
+  organizer: {
+    type: Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: FORMATS,
+    default: 'single-elimination',
+  },
+  // Players compete alone, clans compete as teams
+  participantType: {
+    type: String,
+    enum: ['player', 'clan'],
+    default: 'player',
+  },
+  seedBy: {
+    type: String,
+    enum: ['xp', 'rating'],
+    default: 'rating',
+  },
+  maxParticipants: {
+    type: Number,
+    default: 16,
+  },
+  status: {
+    type: String,
+    enum: ['registration', 'in-progress', 'completed'],
+    default: 'registration',
+  },
+  participants: [
+    {
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: 'users',
+      },
+      clan: {
+        type: Schema.Types.ObjectId,
+        ref: 'clans',
+      },
+      name: {
+        type: String,
+      },
+      seed: {
+        type: Number,
+      },
+    }
+  ],
+  // One node per bracket match, see lib/bracket.js - a, b, winner and loser are participant ids
+  nodes: [
+    {
+      key: {
+        type: String,
+      },
+      bracket: {
+        type: String,
+      },
+      round: {
+        type: Number,
+      },
+      position: {
+        type: Number,
+      },
+      a: {
+        type: Schema.Types.ObjectId,
+      },
+      b: {
+        type: Schema.Types.ObjectId,
+      },
+      expects: {
+        type: Number,
+      },
+      resolved: {
+        type: Number,
+      },
+      winnerTo: slotSchema,
+      loserTo: slotSchema,
+      winner: {
+        type: Schema.Types.ObjectId,
+      },
+      loser: {
+        type: Schema.Types.ObjectId,
+      },
+      status: {
+        type: String,
+        enum: ['pending', 'ready', 'completed', 'bye'],
+      },
+      match: {
+        type: Schema.Types.ObjectId,
+        ref: 'matches',
+      },
+    }
+  ],
+  winner: {
+    type: Schema.Types.ObjectId,
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TournamentSchema.statics.FORMATS = FORMATS;
+
+const Tournament = mongoose.model('tournament', TournamentSchema);
+
+module.exports = Tournament;
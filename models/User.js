@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Developers get their role by creating a game, moderators and admins are set by admins
+const ROLES = ['player', 'developer', 'moderator', 'admin'];
+const STATUSES = ['active', 'suspended', 'banned'];
+
 const UserSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -10,16 +14,67 @@ const UserSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
   password: {
     type: String,
     required: true,
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'player',
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'active',
+  },
+  // Suspensions end by themselves, bans have to be lifted
+  suspendedUntil: {
+    type: Date,
+  },
+  statusReason: {
+    type: String,
+  },
+  // Public profile
+  displayName: {
+    type: String,
+    maxlength: 32,
+  },
+  avatar: {
+    type: String,
+  },
+  bio: {
+    type: String,
+    maxlength: 280,
+  },
+  // ISO 3166-1 alpha-2 code
+  country: {
+    type: String,
+    uppercase: true,
+    minlength: 2,
+    maxlength: 2,
+  },
   date: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Banned users and users in a suspension can't use the API
+UserSchema.methods.isBlocked = function () {
+  return this.status === 'banned' || (this.status === 'suspended' && this.suspendedUntil > Date.now());
+};
+
+UserSchema.statics.ROLES = ROLES;
+UserSchema.statics.STATUSES = STATUSES;
+
+// Fields anyone can see
+UserSchema.statics.PUBLIC_FIELDS = ['username', 'displayName', 'avatar', 'bio', 'country', 'date'];
+
 const User = mongoose.model('user', UserSchema);
 
 module.exports = User;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const UserAchievementSchema = new mongoose.Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'users',
+    required: true,
+  },
+  game: {
+    type: Schema.Types.ObjectId,
+    ref: 'games',
+    required: true,
+  },
+  achievement: {
+    type: Schema.Types.ObjectId,
+    ref: 'achievements',
+    required: true,
+  },
+  match: {
+    type: Schema.Types.ObjectId,
+    ref: 'matches',
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+UserAchievementSchema.index({ user: 1, achievement: 1 }, { unique: true });
+
+const UserAchievement = mongoose.model('userachievement', UserAchievementSchema);
+
+module.exports = UserAchievement;
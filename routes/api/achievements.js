@@ -0,0 +1,158 @@
+const express = require('express');
+
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const { isOwnerOr } = require('../../middleware/permit');
+
+const Game = require('../../models/Game');
+const Achievement = require('../../models/Achievement');
+const UserAchievement = require('../../models/UserAchievement');
+
+const ruleChecks = [
+  check('name', 'Name is required').not().isEmpty(),
+  check('rule.type', `Rule type must be one of: ${Achievement.RULE_TYPES.join(', ')}`).isIn(Achievement.RULE_TYPES),
+  check('rule.item', 'Item is required for item rules').if(check('rule.type').equals('item')).not().isEmpty(),
+  check('rule.threshold', 'Threshold must be a positive integer').optional().isInt({ min: 1 }),
+  check('rule.place', 'Place must be a positive integer').optional().isInt({ min: 1 }),
+  check('rule.teamMatch', 'Team match must be a boolean').optional().isBoolean(),
+];
+
+const toRule = ({ type, item, threshold, place, teamMatch }) => ({
+  type,
+  item: type === 'item' ? item.toLowerCase() : undefined,
+  threshold,
+  place,
+  teamMatch,
+});
+
+// @route     GET api/achievements/game/:gameId
+// @desc      Get the achievements of a game
+// @access    Public
+router.get('/game/:gameId', async (req, res) => {
+  try {
+    const achievements = await Achievement.find({ game: req.params.gameId }).sort({ date: 1 });
+    return res.json(achievements);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/achievements/user/:userId
+// @desc      Get the achievements unlocked by a user, optionally only for one game (?gameId=)
+// @access    Public
+router.get('/user/:userId', async (req, res) => {
+  try {
+    const filter = { user: req.params.userId };
+    if (req.query.gameId) filter.game = req.query.gameId;
+
+    const unlocked = await UserAchievement.find(filter).sort({ date: -1 }).populate('achievement', ['key', 'name', 'description'], Achievement);
+    return res.json(unlocked);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'User not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/achievements
+// @desc      Create an achievement
+// @access    Private
+router.post('/', [auth, [
+  check('gameId', 'Game ID is required').not().isEmpty(),
+  check('key', 'Key is required').not().isEmpty(),
+  ...ruleChecks,
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { gameId, key, name, description, rule } = req.body;
+
+  try {
+    const game = await Game.findOne({ _id: gameId }).select('developer');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (await Achievement.exists({ game: gameId, key: key.toLowerCase() })) return res.status(400).json({ errors: [{ msg: 'Achievement key taken' }] });
+
+    const achievement = new Achievement({
+      game: gameId,
+      key: key.toLowerCase(),
+      name,
+      description,
+      rule: toRule(rule),
+    });
+
+    await achievement.save();
+
+    return res.json(achievement);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/achievements/:id
+// @desc      Update an achievement - already unlocked achievements stay unlocked
+// @access    Private
+router.put('/:id', [auth, ruleChecks],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { name, description, rule } = req.body;
+
+  try {
+    const achievement = await Achievement.findOne({ _id: req.params.id });
+    if (!achievement) return res.status(404).json({ msg: 'Achievement not found' });
+
+    const game = await Game.findOne({ _id: achievement.game }).select('developer');
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    achievement.name = name;
+    if (description !== undefined) achievement.description = description;
+    achievement.rule = toRule(rule);
+
+    await achievement.save();
+
+    return res.json(achievement);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Achievement not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/achievements/:id
+// @desc      Delete an achievement and remove it from every user
+// @access    Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const achievement = await Achievement.findOne({ _id: req.params.id });
+    if (!achievement) return res.status(404).json({ msg: 'Achievement not found' });
+
+    const game = await Game.findOne({ _id: achievement.game }).select('developer');
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    await UserAchievement.deleteMany({ achievement: achievement.id });
+    await achievement.remove();
+
+    return res.json({ msg: 'Achievement removed' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Achievement not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
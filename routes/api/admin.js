@@ -0,0 +1,259 @@
+const express = require('express');
+
+const router = express.Router();
+const { check, query, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const permit = require('../../middleware/permit');
+
+const Game = require('../../models/Game');
+const Invite = require('../../models/Invite');
+const Match = require('../../models/Match');
+const MatchEvent = require('../../models/MatchEvent');
+const Team = require('../../models/Team');
+const User = require('../../models/User');
+
+const { revokeAll } = require('../../lib/session');
+const { transition, transitionError } = require('../../lib/matchState');
+const { emitStatus } = require('../../lib/matchRoom');
+const { emitLobbyRemoved } = require('../../lib/lobby');
+const { onMatchAbandoned } = require('../../lib/tournaments');
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Moderators can only act on players and developers
+const canModerate = (staff, user) => staff.role === 'admin' || !['moderator', 'admin'].includes(user.role);
+
+// Every route needs a staff member, some are for admins only
+router.use(auth, permit('moderator', 'admin'));
+
+// @route     GET api/admin/users
+// @desc      List users - ?q= searches usernames and emails, ?role= and ?status= filter
+// @access    Moderator, Admin
+router.get('/users', [
+  query('role', `Role must be one of: ${User.ROLES.join(', ')}`).optional().isIn(User.ROLES),
+  query('status', `Status must be one of: ${User.STATUSES.join(', ')}`).optional().isIn(User.STATUSES),
+  query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+  query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { q, role, status } = req.query;
+  const page = parseInt(req.query.page || 1);
+  const limit = parseInt(req.query.limit || 20);
+
+  try {
+    const filter = {};
+    if (role) filter.role = role;
+    if (status) filter.status = status;
+
+    if (q) {
+      const pattern = new RegExp(escapeRegExp(q), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }, { displayName: pattern }];
+    }
+
+    const total = await User.countDocuments(filter);
+    const users = await User.find(filter)
+      .select('-password')
+      .sort({ date: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    return res.json({ total, page, limit, users });
+  } catch (err) {
+    console.log(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/admin/users/:id/role
+// @desc      Change the role of a user
+// @access    Admin
+router.put('/users/:id/role', [permit('admin'), [
+  check('role', `Role must be one of: ${User.ROLES.join(', ')}`).isIn(User.ROLES),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    if (req.params.id === req.user.id) return res.status(400).json({ errors: [{ msg: 'Admins cannot change their own role' }] });
+
+    const user = await User.findOneAndUpdate({ _id: req.params.id }, { role: req.body.role }, { new: true }).select('-password');
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+
+    return res.json(user);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'User not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/admin/users/:id/ban
+// @desc      Ban a user - every session is logged out
+// @access    Moderator, Admin
+router.post('/users/:id/ban', async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id }).select('-password');
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+
+    if (user.id === req.user.id || !canModerate(req.user, user)) return res.status(401).json({ msg: 'User not authorized' });
+
+    user.status = 'banned';
+    user.suspendedUntil = undefined;
+    user.statusReason = req.body.reason;
+    await user.save();
+
+    await revokeAll(user.id);
+
+    return res.json(user);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'User not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/admin/users/:id/suspend
+// @desc      Suspend a user for a number of days - every session is logged out
+// @access    Moderator, Admin
+router.post('/users/:id/suspend', [
+  check('days', 'Days must be between 1 and 365').isInt({ min: 1, max: 365 }),
+],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const user = await User.findOne({ _id: req.params.id }).select('-password');
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+
+    if (user.id === req.user.id || !canModerate(req.user, user)) return res.status(401).json({ msg: 'User not authorized' });
+
+    user.status = 'suspended';
+    user.suspendedUntil = new Date(Date.now() + parseInt(req.body.days) * 24 * 60 * 60 * 1000);
+    user.statusReason = req.body.reason;
+    await user.save();
+
+    await revokeAll(user.id);
+
+    return res.json(user);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'User not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/admin/users/:id/reinstate
+// @desc      Lift a ban or suspension
+// @access    Moderator, Admin
+router.post('/users/:id/reinstate', async (req, res) => {
+  try {
+    const user = await User.findOne({ _id: req.params.id }).select('-password');
+    if (!user) return res.status(404).json({ msg: 'User not found' });
+
+    if (!canModerate(req.user, user)) return res.status(401).json({ msg: 'User not authorized' });
+
+    user.status = 'active';
+    user.suspendedUntil = undefined;
+    user.statusReason = undefined;
+    await user.save();
+
+    return res.json(user);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'User not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/admin/games/:id/developer
+// @desc      Hand a game over to another user
+// @access    Admin
+router.put('/games/:id/developer', [permit('admin'), [
+  check('userId', 'User ID is required').not().isEmpty(),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select(['name', 'developer']);
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    const user = await User.findOne({ _id: req.body.userId }).select(['role', 'status']);
+    if (!user) return res.status(400).json({ errors: [{ msg: 'User not found', param: 'userId' }] });
+
+    if (user.status === 'banned') return res.status(400).json({ errors: [{ msg: 'User is banned', param: 'userId' }] });
+
+    game.developer = user.id;
+    await game.save();
+
+    if (user.role === 'player') {
+      user.role = 'developer';
+      await user.save();
+    }
+
+    return res.json(game);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/admin/matches/:id/stop
+// @desc      Stop a match without saving results
+// @access    Moderator, Admin
+router.post('/matches/:id/stop', async (req, res) => {
+  try {
+    const match = await Match.findOne({ _id: req.params.id });
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    if (!transition(match, 'abandon')) return res.status(400).json(transitionError(match, 'abandon'));
+
+    await match.save();
+
+    emitStatus(match);
+
+    await onMatchAbandoned(match);
+
+    return res.json(match);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/admin/matches/:id
+// @desc      Delete a match with its teams, events and invites - tournament matches are stopped instead
+// @access    Moderator, Admin
+router.delete('/matches/:id', async (req, res) => {
+  try {
+    const match = await Match.findOne({ _id: req.params.id });
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    // The tournament bracket waits for the match
+    if (match.tournament) return res.status(400).json({ errors: [{ msg: 'Tournament matches cannot be deleted, stop the match instead' }] });
+
+    await match.remove();
+
+    await Team.deleteMany({ match: req.params.id });
+    await MatchEvent.deleteMany({ match: req.params.id });
+    await Invite.deleteMany({ $or: [{ match: req.params.id }, { team: { $in: match.teams } }] });
+
+    if (match.visibility === 'public') emitLobbyRemoved(match);
+
+    return res.json({ msg: 'Match removed' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,23 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { check, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
-const config = require('config');
 const auth = require('../../middleware/auth');
+const rateLimit = require('../../middleware/rateLimit');
+const { bruteForce } = require('../../middleware/rateLimit');
 
 const User = require('../../models/User');
+const Session = require('../../models/Session');
+
+const {
+  createSession,
+  rotate,
+  revoke,
+  revokeAll,
+} = require('../../lib/session');
+const { issue, consume } = require('../../lib/accountTokens');
+const { sendVerification, sendPasswordReset } = require('../../lib/mailer');
+
+const getSetting = require('../../helpers').getSetting;
 
 // @route     GET api/auth
 // @desc      Auth route
@@ -26,6 +38,8 @@ router.get('/', auth, async (req, res) => {
 // @desc      Authenticate user & get token
 // @access    Public
 router.post('/', [
+  rateLimit('login'),
+  bruteForce('login', req => [typeof req.body.email === 'string' && `email:${req.body.email.toLowerCase()}`]),
   check('email', 'Please include a valid email,').isEmail(),
   check('password', 'Password is required').exists(),
 ],
@@ -34,30 +48,201 @@ async (req, res) => {
 
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  const { email, password } = req.body;
+  const { email, password, device } = req.body;
 
   try {
-    const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
+    if (await req.bruteForce.attempt()) return;
 
-    const isMatch = await bcrypt.compare(password, user.password);
+    const user = await User.findOne({ email });
+    const isMatch = user && await bcrypt.compare(password, user.password);
     if (!isMatch) return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
 
-    const payload = {
-      user: {
-        id: user.id,
-      },
-    };
-
-    jwt.sign(
-      payload,
-      config.get('jwtSecret'),
-      { expiresIn: 3600 },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token, user: user.id });
-      },
-    );
+    await req.bruteForce.succeed();
+
+    if (user.isBlocked()) return res.status(403).json({ msg: `User is ${user.status}`, until: user.suspendedUntil });
+
+    // The first admins are set in the config
+    if (user.role !== 'admin' && getSetting('adminEmails', []).includes(user.email)) {
+      user.role = 'admin';
+      await user.save();
+    }
+
+    const { token, refreshToken } = await createSession(user.id, device || req.header('user-agent'));
+
+    res.json({ token, refreshToken, user: user.id });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/refresh
+// @desc      Exchange a refresh token for a new token pair
+// @access    Public
+router.post('/refresh', [
+  check('refreshToken', 'Refresh token is required').not().isEmpty(),
+],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const tokens = await rotate(req.body.refreshToken);
+    if (!tokens) return res.status(401).json({ msg: 'Refresh token is not valid' });
+
+    res.json(tokens);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/auth/sessions
+// @desc      Get the active sessions of the user
+// @access    Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user.id, revoked: false, expires: { $gt: Date.now() } })
+      .select(['device', 'lastUsed', 'date'])
+      .sort({ lastUsed: -1 });
+
+    res.json(sessions);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/logout
+// @desc      Revoke the current session
+// @access    Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revoke(req.user.session);
+
+    res.json({ msg: 'Logged out' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/logout-all
+// @desc      Revoke all sessions of the user
+// @access    Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAll(req.user.id);
+
+    res.json({ msg: 'Logged out on all devices' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/verify-email/request
+// @desc      Send a new verification email to the user
+// @access    Private
+router.post('/verify-email/request', [
+  auth,
+  rateLimit('verifyEmail'),
+  // The email goes to the address of the user
+  rateLimit('verifyEmailUser', req => `user:${req.user.id}`),
+],
+async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) return res.status(400).json({ errors: [{ msg: 'Email is already verified' }] });
+
+    await sendVerification(user, await issue(user, 'verify-email'));
+
+    res.json({ msg: 'Verification email sent' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/verify-email
+// @desc      Verify the email with the token from the verification email
+// @access    Public
+router.post('/verify-email', [
+  check('token', 'Token is required').not().isEmpty(),
+],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const accountToken = await consume(req.body.token, 'verify-email');
+    if (!accountToken) return res.status(400).json({ errors: [{ msg: 'Token is not valid or has expired' }] });
+
+    // The token only verifies the email it was sent to
+    const user = await User.findOneAndUpdate({ _id: accountToken.user, email: accountToken.email }, { emailVerified: true });
+    if (!user) return res.status(400).json({ errors: [{ msg: 'Email has changed since the token was sent' }] });
+
+    res.json({ msg: 'Email verified' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/forgot-password
+// @desc      Send a password reset email - the response is the same whether the email is registered or not
+// @access    Public
+router.post('/forgot-password', [
+  rateLimit('forgotPassword'),
+  rateLimit('forgotPasswordEmail', req => typeof req.body.email === 'string' && `email:${req.body.email.toLowerCase()}`),
+  check('email', 'Please include a valid email,').isEmail(),
+],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) await sendPasswordReset(user, await issue(user, 'reset-password'));
+
+    res.json({ msg: 'If the email is registered, a password reset link was sent to it' });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/auth/reset-password
+// @desc      Set a new password with the token from the reset email - every session is logged out
+// @access    Public
+router.post('/reset-password', [
+  check('token', 'Token is required').not().isEmpty(),
+  check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
+],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const accountToken = await consume(req.body.token, 'reset-password');
+    if (!accountToken) return res.status(400).json({ errors: [{ msg: 'Token is not valid or has expired' }] });
+
+    const user = await User.findById(accountToken.user);
+    if (!user) return res.status(400).json({ errors: [{ msg: 'Token is not valid or has expired' }] });
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(req.body.password, salt);
+
+    // The link was sent to the email, so it is verified too
+    if (user.email === accountToken.email) user.emailVerified = true;
+
+    await user.save();
+
+    await revokeAll(user.id);
+
+    res.json({ msg: 'Password changed' });
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server error');
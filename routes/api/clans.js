@@ -0,0 +1,537 @@
+const express = require('express');
+
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+
+const Clan = require('../../models/Clan');
+const Game = require('../../models/Game');
+const Match = require('../../models/Match');
+const Team = require('../../models/Team');
+const User = require('../../models/User');
+
+const isInArray = require('../../helpers').isInArray;
+
+const { emitTeams } = require('../../lib/matchRoom');
+const { disbandClan } = require('../../lib/membership');
+
+const getMember = (clan, userId) => clan.members.find(member => member.user.toString() === userId);
+
+// Owners and officers manage invitations, requests and members
+const isManager = (clan, userId) => {
+  const member = getMember(clan, userId);
+  return !!member && ['owner', 'officer'].includes(member.role);
+};
+
+// A user can only be a member of one clan per game
+const isInClanOfGame = (gameId, userId) => Clan.exists({ game: gameId, 'members.user': userId });
+
+const removeByUser = (arr, userId) => {
+  const removeIndex = arr.map(item => item.user.toString()).indexOf(userId);
+  if (removeIndex !== -1) arr.splice(removeIndex, 1);
+};
+
+// Adds the user as a member and clears their pending invitation and request
+const addMember = (clan, userId) => {
+  clan.members.push({ user: userId, role: 'member' });
+  removeByUser(clan.invitations, userId);
+  removeByUser(clan.requests, userId);
+};
+
+// @route     GET api/clans/game/:gameId
+// @desc      Get all clans of a game
+// @access    Public
+router.get('/game/:gameId', async (req, res) => {
+  try {
+    const clans = await Clan.find({ game: req.params.gameId }).select(['name', 'tag', 'owner', 'members', 'record']).sort({ name: 1 });
+    return res.json(clans);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/clans/user
+// @desc      Get the clans of the user and the clans they are invited to
+// @access    Private
+router.get('/user', auth, async (req, res) => {
+  try {
+    const clans = await Clan.find({ 'members.user': req.user.id });
+    const invitations = await Clan.find({ 'invitations.user': req.user.id }).select(['name', 'tag', 'game']);
+
+    return res.json({ clans, invitations });
+  } catch (err) {
+    console.log(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/clans/:id
+// @desc      Get a clan
+// @access    Public
+router.get('/:id', async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id }).select(['-invitations', '-requests']).populate('members.user', 'username', User);
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    return res.json(clan);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/clans
+// @desc      Create a clan
+// @access    Private
+router.post('/', [auth, [
+  check('gameId', 'Game ID is required').not().isEmpty(),
+  check('name', 'Name is required').not().isEmpty(),
+  check('tag', 'Tag must be at most 5 characters').optional().isLength({ max: 5 }),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { gameId, name, tag } = req.body;
+
+  try {
+    const game = await Game.findOne({ _id: gameId }).select('players.user');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    if (!isInArray(game.players, req.user.id)) return res.status(400).json({ msg: 'User is not yet a player of this game' });
+
+    if (await isInClanOfGame(gameId, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is already a member of a clan in this game' }] });
+
+    if (await Clan.exists({ game: gameId, name })) return res.status(400).json({ errors: [{ msg: 'Clan name taken' }] });
+
+    const clan = new Clan({
+      game: gameId,
+      name,
+      tag,
+      owner: req.user.id,
+      members: [{ user: req.user.id, role: 'owner' }],
+    });
+
+    await clan.save();
+
+    return res.json(clan);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/clans/:id
+// @desc      Disband a clan - its teams leave the matches that haven't started
+// @access    Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    // Check user
+    if (clan.owner.toString() !== req.user.id) return res.status(401).json({ msg: 'User not authorized' });
+
+    await disbandClan(clan);
+
+    return res.json({ msg: 'Clan removed' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/clans/:id/invitations
+// @desc      Invite a player of the game to the clan
+// @access    Private
+router.post('/:id/invitations', [auth, [
+  check('userId', 'User ID is required').not().isEmpty(),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { userId } = req.body;
+
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    // Check user
+    if (!isManager(clan, req.user.id)) return res.status(401).json({ msg: 'User not authorized' });
+
+    const game = await Game.findOne({ _id: clan.game }).select('players.user');
+    if (!isInArray(game.players, userId)) return res.status(400).json({ errors: [{ msg: 'User is not a player of this game' }] });
+
+    if (await isInClanOfGame(clan.game, userId)) return res.status(400).json({ errors: [{ msg: 'User is already a member of a clan in this game' }] });
+
+    if (isInArray(clan.invitations, userId)) return res.status(400).json({ errors: [{ msg: 'User is already invited' }] });
+
+    // A pending request is accepted by the invitation
+    if (isInArray(clan.requests, userId)) {
+      addMember(clan, userId);
+    } else {
+      clan.invitations.push({ user: userId, invitedBy: req.user.id });
+    }
+
+    await clan.save();
+
+    return res.json(clan);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/clans/:id/invitations/accept
+// @desc      Accept an invitation to the clan
+// @access    Private
+router.post('/:id/invitations/accept', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    if (!isInArray(clan.invitations, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is not invited to this clan' }] });
+
+    if (await isInClanOfGame(clan.game, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is already a member of a clan in this game' }] });
+
+    addMember(clan, req.user.id);
+    await clan.save();
+
+    return res.json(clan);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/clans/:id/invitations/:userId
+// @desc      Revoke (owner or officer) or decline (invited user) an invitation
+// @access    Private
+router.delete('/:id/invitations/:userId', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    // Check user
+    if (req.params.userId !== req.user.id && !isManager(clan, req.user.id)) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (!isInArray(clan.invitations, req.params.userId)) return res.status(404).json({ msg: 'Invitation not found' });
+
+    removeByUser(clan.invitations, req.params.userId);
+    await clan.save();
+
+    return res.json({ msg: 'Invitation removed' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/clans/:id/requests
+// @desc      Request to join the clan
+// @access    Private
+router.post('/:id/requests', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    const game = await Game.findOne({ _id: clan.game }).select('players.user');
+    if (!isInArray(game.players, req.user.id)) return res.status(400).json({ msg: 'User is not yet a player of this game' });
+
+    if (await isInClanOfGame(clan.game, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is already a member of a clan in this game' }] });
+
+    if (isInArray(clan.requests, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User has already requested to join' }] });
+
+    // A pending invitation is accepted by the request
+    if (isInArray(clan.invitations, req.user.id)) {
+      addMember(clan, req.user.id);
+    } else {
+      clan.requests.push({ user: req.user.id });
+    }
+
+    await clan.save();
+
+    return res.json({ msg: isInArray(clan.members, req.user.id) ? 'Joined the clan' : 'Request sent' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/clans/:id/requests
+// @desc      Get the pending invitations and join requests of the clan
+// @access    Private
+router.get('/:id/requests', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id })
+      .select(['members', 'invitations', 'requests'])
+      .populate('invitations.user', 'username', User)
+      .populate('requests.user', 'username', User);
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    // Check user
+    if (!isManager(clan, req.user.id)) return res.status(401).json({ msg: 'User not authorized' });
+
+    return res.json({ invitations: clan.invitations, requests: clan.requests });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/clans/:id/requests/:userId/accept
+// @desc      Accept a join request
+// @access    Private
+router.post('/:id/requests/:userId/accept', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    // Check user
+    if (!isManager(clan, req.user.id)) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (!isInArray(clan.requests, req.params.userId)) return res.status(404).json({ msg: 'Request not found' });
+
+    if (await isInClanOfGame(clan.game, req.params.userId)) {
+      removeByUser(clan.requests, req.params.userId);
+      await clan.save();
+      return res.status(400).json({ errors: [{ msg: 'User is already a member of a clan in this game' }] });
+    }
+
+    addMember(clan, req.params.userId);
+    await clan.save();
+
+    return res.json(clan.members);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/clans/:id/requests/:userId
+// @desc      Reject (owner or officer) or cancel (requesting user) a join request
+// @access    Private
+router.delete('/:id/requests/:userId', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    // Check user
+    if (req.params.userId !== req.user.id && !isManager(clan, req.user.id)) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (!isInArray(clan.requests, req.params.userId)) return res.status(404).json({ msg: 'Request not found' });
+
+    removeByUser(clan.requests, req.params.userId);
+    await clan.save();
+
+    return res.json({ msg: 'Request removed' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/clans/:id/leave
+// @desc      Leave the clan - the owner has to transfer ownership first, unless they are the last member
+// @access    Private
+router.post('/:id/leave', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    if (!getMember(clan, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is not a member of this clan' }] });
+
+    if (clan.owner.toString() === req.user.id) {
+      if (clan.members.length > 1) return res.status(400).json({ errors: [{ msg: 'Transfer the ownership before leaving the clan' }] });
+
+      await disbandClan(clan);
+      return res.json({ msg: 'Left the clan, the clan was removed' });
+    }
+
+    removeByUser(clan.members, req.user.id);
+    await clan.save();
+
+    return res.json({ msg: 'Left the clan' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/clans/:id/members/:userId
+// @desc      Kick a member - officers can only kick members
+// @access    Private
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    const kicker = getMember(clan, req.user.id);
+    const member = getMember(clan, req.params.userId);
+    if (!member) return res.status(404).json({ msg: 'Member not found' });
+
+    // Check user
+    const canKick = kicker && (kicker.role === 'owner' || (kicker.role === 'officer' && member.role === 'member'));
+    if (!canKick || member.role === 'owner') return res.status(401).json({ msg: 'User not authorized' });
+
+    removeByUser(clan.members, req.params.userId);
+    await clan.save();
+
+    return res.json(clan.members);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/clans/:id/members/:userId
+// @desc      Promote a member to officer or demote an officer
+// @access    Private
+router.put('/:id/members/:userId', [auth, [
+  check('role', 'Role must be officer or member').isIn(['officer', 'member']),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    // Check user
+    if (clan.owner.toString() !== req.user.id) return res.status(401).json({ msg: 'User not authorized' });
+
+    const member = getMember(clan, req.params.userId);
+    if (!member) return res.status(404).json({ msg: 'Member not found' });
+
+    if (member.role === 'owner') return res.status(400).json({ errors: [{ msg: 'Transfer the ownership to change the owner role' }] });
+
+    member.role = req.body.role;
+    await clan.save();
+
+    return res.json(clan.members);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/clans/:id/transfer
+// @desc      Transfer the ownership to another member - the old owner becomes an officer
+// @access    Private
+router.post('/:id/transfer', [auth, [
+  check('userId', 'User ID is required').not().isEmpty(),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    // Check user
+    if (clan.owner.toString() !== req.user.id) return res.status(401).json({ msg: 'User not authorized' });
+
+    const member = getMember(clan, req.body.userId);
+    if (!member) return res.status(404).json({ msg: 'Member not found' });
+
+    if (member.role === 'owner') return res.status(400).json({ errors: [{ msg: 'User already owns the clan' }] });
+
+    getMember(clan, req.user.id).role = 'officer';
+    member.role = 'owner';
+    clan.owner = member.user;
+
+    await clan.save();
+
+    return res.json(clan);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Clan not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/clans/:id/matches/:matchId
+// @desc      Enter the clan into a match as a team - members that are players of the match are added to the team,
+//            the others can join the team once they join the match
+// @access    Private
+router.post('/:id/matches/:matchId', auth, async (req, res) => {
+  try {
+    const clan = await Clan.findOne({ _id: req.params.id });
+    if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+    // Check user
+    if (!isManager(clan, req.user.id)) return res.status(401).json({ msg: 'User not authorized' });
+
+    const match = await Match.findOne({ _id: req.params.matchId });
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    if (match.game.toString() !== clan.game.toString()) return res.status(400).json({ errors: [{ msg: 'Match is not a match of the clan game' }] });
+
+    // Teams can only be formed in the lobby
+    if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Teams can only be created while the match is in the lobby' }] });
+
+    if (await Team.exists({ match: match.id, clan: clan.id })) return res.status(400).json({ errors: [{ msg: 'Clan is already entered into this match' }] });
+
+    if (!match.hasTeamSlot()) return res.status(400).json({ errors: [{ msg: 'Match already has the maximum number of teams' }] });
+
+    // Private matches have to be joined with the secret or an invite first
+    if (!isInArray(match.players, req.user.id)) {
+      if (match.visibility !== 'public') return res.status(401).json({ msg: 'User has to join this match before entering the clan' });
+      if (match.isKicked(req.user.id)) return res.status(401).json({ msg: 'User was removed from this match' });
+      if (match.isFull()) return res.status(400).json({ errors: [{ msg: 'Match is full' }] });
+    }
+
+    // Add the user entering the clan to the match
+    if (!isInArray(match.players, req.user.id)) match.players.unshift({ user: req.user.id });
+
+    // Members can only be in one team of the match
+    const teams = await Team.find({ match: match.id });
+
+    const members = clan.members.filter(({ user }) => (
+      isInArray(match.players, user.toString()) && !teams.some(team => isInArray(team.members, user.toString()))
+    ));
+
+    const team = new Team({
+      name: clan.name,
+      owner: req.user.id,
+      game: clan.game,
+      match: match.id,
+      clan: clan.id,
+      members: members.map(({ user }) => ({ user })),
+    });
+
+    await team.save();
+
+    match.teams.unshift(team);
+    match.lastActivity = Date.now();
+    await match.save();
+
+    await emitTeams(match.id);
+
+    return res.json(team);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -1,27 +1,54 @@
 const express = require('express');
+const crypto = require('crypto');
 
 const router = express.Router();
-const { check, validationResult } = require('express-validator');
+const { check, query, validationResult } = require('express-validator');
 const auth = require('../../middleware/auth');
+const { isOwnerOr } = require('../../middleware/permit');
+const { hashSecret } = require('../../middleware/apiKey');
 
 const Match = require('../../models/Match');
 const Team = require('../../models/Team');
 const Game = require('../../models/Game');
 const Result = require('../../models/Result');
+const User = require('../../models/User');
+const Ticket = require('../../models/Ticket');
+const ApiKey = require('../../models/ApiKey');
+const Season = require('../../models/Season');
+const SeasonArchive = require('../../models/SeasonArchive');
+const Achievement = require('../../models/Achievement');
+const UserAchievement = require('../../models/UserAchievement');
+const MatchEvent = require('../../models/MatchEvent');
+const Clan = require('../../models/Clan');
+const Tournament = require('../../models/Tournament');
+const Invite = require('../../models/Invite');
+
+const { enqueue, dequeue } = require('../../lib/matchmaking');
+const { SORTS, WINDOWS, buildLeaderboard } = require('../../lib/leaderboard');
+const { currentSeason } = require('../../lib/seasons');
+const { apiKeyRoom, disconnectRoom } = require('../../lib/socket');
+const { voidEvent, approveEvent } = require('../../lib/antiCheat');
+const { browse } = require('../../lib/lobby');
 
 const isInArray = require('../../helpers').isInArray;
+const findScoringRule = require('../../helpers').findScoringRule;
 
 // @route     POST api/games
-// @desc      Create a game
+// @desc      Create a game - games created without scoring rules score the default items
 // @access    Private
 router.post('/', [auth, [
   check('name', 'Name is required').not().isEmpty(),
+  check('scoring', 'Scoring must be an array of rules').optional().isArray(),
+  check('scoring.*.item', 'Item may only contain letters, numbers, - and _').matches(Game.ITEM_PATTERN),
+  check('scoring.*.points', 'Points must be a number').isNumeric(),
+  check('scoring.*.multiplier', 'Multiplier must be a positive number').optional().isFloat({ min: 0 }),
+  check('scoring.*.maxPerMatch', 'Max per match must be a positive integer').optional().isInt({ min: 1 }),
 ]],
 async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
   
-  const { name } = req.body;
+  const { name, scoring = Game.DEFAULT_SCORING } = req.body;
 
   try {
     let game = await Game.findOne({ name: name.toLowerCase() });
@@ -31,10 +58,14 @@ async (req, res) => {
     game = new Game({
       name: name.toLowerCase(),
       developer: req.user.id,
+      scoring: scoring.map(rule => ({ ...rule, item: rule.item.toLowerCase() })),
     });
 
     await game.save();
 
+    // Creating a game makes a player a developer
+    await User.updateOne({ _id: req.user.id, role: 'player' }, { role: 'developer' });
+
     return res.json(game);
   } catch (err) {
     console.log(err.message);
@@ -53,12 +84,22 @@ router.delete('/:id', auth, async (req, res) => {
     if (!game) return res.status(404).json({ msg: 'Game not found' });
 
     // Check user
-    if (game.developer.toString() !== req.user.id) return res.status(401).json({ msg: 'User not authorized' });
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
 
-    // Delete all teams, matches and results from the game
+    // Delete everything that belongs to the game
     await Result.deleteMany({ game: req.params.id });
     await Team.deleteMany({ game: req.params.id });
     await Match.deleteMany({ game: req.params.id });
+    await Ticket.deleteMany({ game: req.params.id });
+    await ApiKey.deleteMany({ game: req.params.id });
+    await Season.deleteMany({ game: req.params.id });
+    await SeasonArchive.deleteMany({ game: req.params.id });
+    await Achievement.deleteMany({ game: req.params.id });
+    await UserAchievement.deleteMany({ game: req.params.id });
+    await MatchEvent.deleteMany({ game: req.params.id });
+    await Clan.deleteMany({ game: req.params.id });
+    await Tournament.deleteMany({ game: req.params.id });
+    await Invite.deleteMany({ game: req.params.id });
 
     // Delete the game
     await game.remove();
@@ -94,4 +135,518 @@ router.post('/:id', auth, async (req, res) => {
   }
 });
 
+// @route     GET api/games/:id/ratings/:userId
+// @desc      Get the rating and rating history of a player
+// @access    Private
+router.get('/:id/ratings/:userId', auth, async (req, res) => {
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select('players');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    const player = game.players.find(p => p.user.toString() === req.params.userId);
+    if (!player) return res.status(404).json({ msg: 'Player not found' });
+
+    const { user, rating, deviation, ratingHistory } = player;
+
+    return res.json({ user, rating, deviation, history: ratingHistory });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/games/:id/leaderboard
+// @desc      Get the leaderboard of a game - around=me returns the players around the user instead of a page
+// @access    Public (Private with around=me)
+router.get('/:id/leaderboard', [
+  (req, res, next) => (req.query.around === 'me' ? auth(req, res, next) : next()),
+  [
+    query('sort', `Sort must be one of: ${SORTS.join(', ')}`).optional().isIn(SORTS),
+    query('window', `Window must be one of: ${WINDOWS.join(', ')}`).optional().isIn(WINDOWS),
+    query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+    query('range', 'Range must be between 1 and 50').optional().isInt({ min: 1, max: 50 }),
+    query('around', 'Around only supports me').optional().equals('me'),
+  ],
+],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { sort = 'xp', window = 'all', around } = req.query;
+  const page = parseInt(req.query.page || 1);
+  const limit = parseInt(req.query.limit || 20);
+  const range = parseInt(req.query.range || 5);
+
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select(['name', 'players.user', 'players.xp', 'players.wins', 'players.matches', 'players.seasons', 'players.teamWins', 'players.teamLosses', 'players.teamDraws', 'players.rating', 'players.deviation']);
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    const season = window === 'season' ? await currentSeason(game.id) : null;
+    const leaderboard = await buildLeaderboard(game, { sort, window, season: season && season.id });
+
+    let players;
+
+    if (around) {
+      const index = leaderboard.findIndex(row => row.user === req.user.id);
+      if (index === -1) return res.status(404).json({ msg: 'User is not a player of this game' });
+
+      players = leaderboard.slice(Math.max(index - range, 0), index + range + 1);
+    } else {
+      players = leaderboard.slice((page - 1) * limit, page * limit);
+    }
+
+    // Add usernames to the returned players
+    const users = await User.find({ _id: { $in: players.map(row => row.user) } }).select('username');
+
+    players = players.map(row => ({ ...row, user: users.find(user => user.id === row.user) || { _id: row.user } }));
+
+    return res.json({
+      game: game.name,
+      sort,
+      window,
+      total: leaderboard.length,
+      page: around ? null : page,
+      limit: around ? null : limit,
+      players,
+    });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/games/:id/matches
+// @desc      Browse the public matches of a game - ?status= (lobby by default), ?freeSlots= only returns matches
+//            with room for that many players. Changes are sent to the lobby:<gameId> socket room.
+// @access    Public
+router.get('/:id/matches', [
+  query('status', `Status must be one of: ${Match.STATUSES.join(', ')}`).optional().isIn(Match.STATUSES),
+  query('freeSlots', 'Free slots must be a positive integer').optional().isInt({ min: 1 }),
+  query('page', 'Page must be a positive integer').optional().isInt({ min: 1 }),
+  query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { status = 'lobby' } = req.query;
+  const freeSlots = req.query.freeSlots ? parseInt(req.query.freeSlots) : null;
+  const page = parseInt(req.query.page || 1);
+  const limit = parseInt(req.query.limit || 20);
+
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select('name');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    const result = await browse(game._id, { status, freeSlots, page, limit });
+
+    // Add usernames of the hosts
+    const hosts = await User.find({ _id: { $in: result.matches.map(match => match.host) } }).select('username');
+
+    const matches = result.matches.map(match => ({
+      ...match,
+      host: hosts.find(user => user._id.equals(match.host)) || { _id: match.host },
+    }));
+
+    return res.json({ ...result, game: game.name, matches });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/games/:id/queue
+// @desc      Get the matchmaking queue status of the user
+// @access    Private
+router.get('/:id/queue', auth, async (req, res) => {
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select('name');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    const ticket = await Ticket.findOne({ game: req.params.id, user: req.user.id });
+    const waiting = await Ticket.countDocuments({ game: req.params.id });
+
+    return res.json({ queued: !!ticket, since: ticket ? ticket.date : null, waiting });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/games/:id/queue
+// @desc      Join the matchmaking queue - the match is sent over socket.io (matchFound)
+// @access    Private
+router.post('/:id/queue', auth, async (req, res) => {
+  try {
+    const game = await Game.findOne({ _id: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    if (!isInArray(game.players, req.user.id)) return res.status(400).json({ msg: 'User is not yet a player of this game' });
+
+    if (await Ticket.exists({ game: req.params.id, user: req.user.id })) return res.status(400).json({ errors: [{ msg: 'User is already in the queue' }] });
+
+    const ticket = await enqueue(game, req.user.id);
+
+    return res.json(ticket);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/games/:id/queue
+// @desc      Leave the matchmaking queue
+// @access    Private
+router.delete('/:id/queue', auth, async (req, res) => {
+  try {
+    const ticket = await dequeue(req.params.id, req.user.id);
+    if (!ticket) return res.status(404).json({ msg: 'User is not in the queue' });
+
+    return res.json({ msg: 'Left the queue' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/games/:id/keys
+// @desc      Get the API keys of a game
+// @access    Private
+router.get('/:id/keys', auth, async (req, res) => {
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select('developer');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const keys = await ApiKey.find({ game: req.params.id }).select('-keyHash').sort({ date: -1 });
+
+    return res.json(keys);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/games/:id/keys
+// @desc      Create an API key for the game server - the key is only returned once
+// @access    Private
+router.post('/:id/keys', [auth, [
+  check('name', 'Name is required').not().isEmpty(),
+  check('scopes', 'At least one scope is required').isArray({ min: 1 }),
+  check('scopes.*', `Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`).isIn(ApiKey.SCOPES),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { name, scopes } = req.body;
+
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select('developer');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('hex');
+
+    const apiKey = new ApiKey({
+      game: req.params.id,
+      developer: req.user.id,
+      name,
+      prefix,
+      keyHash: hashSecret(secret),
+      scopes: [...new Set(scopes)],
+    });
+
+    await apiKey.save();
+
+    const saved = apiKey.toObject();
+    delete saved.keyHash;
+
+    return res.json({ ...saved, key: `zsri_${prefix}_${secret}` });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/games/:id/keys/:keyId
+// @desc      Revoke an API key
+// @access    Private
+router.delete('/:id/keys/:keyId', auth, async (req, res) => {
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select('developer');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.keyId, game: req.params.id });
+    if (!apiKey) return res.status(404).json({ msg: 'API key not found' });
+
+    apiKey.revoked = true;
+    await apiKey.save();
+
+    disconnectRoom(apiKeyRoom(apiKey.id));
+
+    return res.json({ msg: 'API key revoked' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'API key not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+const scoringRuleChecks = [
+  check('points', 'Points must be a number').isNumeric(),
+  check('multiplier', 'Multiplier must be a positive number').optional().isFloat({ min: 0 }),
+  check('maxPerMatch', 'Max per match must be a positive integer').optional({ nullable: true }).isInt({ min: 1 }),
+];
+
+// @route     GET api/games/:id/scoring
+// @desc      Get the scoring rules of a game
+// @access    Private
+router.get('/:id/scoring', auth, async (req, res) => {
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select('scoring');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    return res.json(game.scoring);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/games/:id/scoring
+// @desc      Add a scoring rule
+// @access    Private
+router.post('/:id/scoring', [auth, [
+  check('item', 'Item may only contain letters, numbers, - and _').matches(Game.ITEM_PATTERN),
+  ...scoringRuleChecks,
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { item, points, multiplier, maxPerMatch } = req.body;
+
+  try {
+    const game = await Game.findOne({ _id: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (findScoringRule(game.scoring, item)) return res.status(400).json({ errors: [{ msg: 'Scoring rule for this item already exists' }] });
+
+    game.scoring.push({
+      item: item.toLowerCase(),
+      points,
+      multiplier,
+      maxPerMatch,
+    });
+
+    await game.save();
+
+    return res.json(game.scoring);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/games/:id/scoring/:item
+// @desc      Update a scoring rule
+// @access    Private
+router.put('/:id/scoring/:item', [auth, scoringRuleChecks],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { points, multiplier, maxPerMatch } = req.body;
+
+  try {
+    const game = await Game.findOne({ _id: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const rule = findScoringRule(game.scoring, req.params.item);
+    if (!rule) return res.status(404).json({ msg: 'Scoring rule not found' });
+
+    rule.points = points;
+    if (multiplier !== undefined) rule.multiplier = multiplier;
+    if (maxPerMatch !== undefined) rule.maxPerMatch = maxPerMatch;
+
+    await game.save();
+
+    return res.json(game.scoring);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/games/:id/scoring/:item
+// @desc      Delete a scoring rule
+// @access    Private
+router.delete('/:id/scoring/:item', auth, async (req, res) => {
+  try {
+    const game = await Game.findOne({ _id: req.params.id });
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const rule = findScoringRule(game.scoring, req.params.item);
+    if (!rule) return res.status(404).json({ msg: 'Scoring rule not found' });
+
+    game.scoring.pull(rule._id);
+    await game.save();
+
+    return res.json(game.scoring);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/games/:id/anti-cheat
+// @desc      Get the anti-cheat limits of a game
+// @access    Private
+router.get('/:id/anti-cheat', auth, async (req, res) => {
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select(['developer', 'antiCheat']);
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    return res.json(game.antiCheat);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/games/:id/anti-cheat
+// @desc      Update the anti-cheat limits of a game - null removes a limit
+// @access    Private
+router.put('/:id/anti-cheat', [auth, [
+  check('maxPointsPerSecond', 'Max points per second must be a positive number').optional({ nullable: true }).isFloat({ gt: 0 }),
+  check('window', 'Window must be between 1 and 300 seconds').optional().isInt({ min: 1, max: 300 }),
+  check('maxPointsPerMatch', 'Max points per match must be a positive number').optional({ nullable: true }).isFloat({ gt: 0 }),
+  check('action', 'Action must be flag or reject').optional().isIn(['flag', 'reject']),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select(['developer', 'antiCheat']);
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    ['maxPointsPerSecond', 'window', 'maxPointsPerMatch', 'action'].forEach(field => {
+      if (req.body[field] !== undefined) game.antiCheat[field] = req.body[field];
+    });
+
+    await game.save();
+
+    return res.json(game.antiCheat);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/games/:id/flags
+// @desc      Get the flagged scores of a game, ?status= pending (default), approved or voided
+// @access    Private
+router.get('/:id/flags', [auth, [
+  query('status', 'Status must be pending, approved or voided').optional().isIn(['pending', 'approved', 'voided']),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select('developer');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const events = await MatchEvent.find({ game: game.id, 'flag.status': req.query.status || 'pending' })
+      .sort({ date: -1 })
+      .populate('player', 'username', User);
+
+    return res.json(events);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// Handles the review of a flagged score by the developer
+const reviewFlag = action => async (req, res) => {
+  try {
+    const game = await Game.findOne({ _id: req.params.id }).select('developer');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const event = await MatchEvent.findOne({ _id: req.params.eventId, game: game.id, 'flag.status': { $exists: true } });
+    if (!event) return res.status(404).json({ msg: 'Flagged score not found' });
+
+    if (event.flag.status === 'voided') return res.status(400).json({ errors: [{ msg: 'Score is already voided' }] });
+    if (action === approveEvent && event.flag.status === 'approved') return res.status(400).json({ errors: [{ msg: 'Score is already approved' }] });
+
+    // Another review was saved in the meantime
+    const reviewed = await action(event, req.user.id);
+    if (!reviewed) return res.status(400).json({ errors: [{ msg: 'Score was already reviewed' }] });
+
+    return res.json(reviewed);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Flagged score not found' });
+    res.status(500).send('Server error');
+  }
+};
+
+// @route     POST api/games/:id/flags/:eventId/approve
+// @desc      Keep a flagged score
+// @access    Private
+router.post('/:id/flags/:eventId/approve', auth, reviewFlag(approveEvent));
+
+// @route     POST api/games/:id/flags/:eventId/void
+// @desc      Take back the points of a flagged score
+// @access    Private
+router.post('/:id/flags/:eventId/void', auth, reviewFlag(voidEvent));
+
 module.exports = router;
@@ -0,0 +1,262 @@
+const express = require('express');
+
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const { isOwnerOr } = require('../../middleware/permit');
+const rateLimit = require('../../middleware/rateLimit');
+const { bruteForce } = require('../../middleware/rateLimit');
+
+const Game = require('../../models/Game');
+const Invite = require('../../models/Invite');
+const Match = require('../../models/Match');
+const Team = require('../../models/Team');
+
+const {
+  normalizeCode,
+  inviteLink,
+  createInvite,
+  getInviteError,
+  usableFilter,
+  claim,
+  release,
+} = require('../../lib/invites');
+const { emitPlayers, emitTeams } = require('../../lib/matchRoom');
+
+const isInArray = require('../../helpers').isInArray;
+
+// Hosts manage the invites of their match, owners the invites of their team
+const canManage = (user, { match, team }) => (team
+  ? isOwnerOr(user, team.owner, 'admin', 'moderator')
+  : isOwnerOr(user, match.host, 'admin', 'moderator'));
+
+const withLink = invite => ({ ...invite.toObject(), link: inviteLink(invite.code) });
+
+// @route     POST api/invites
+// @desc      Create an invite for a match (matchId) or a team (teamId) - expiresIn is in minutes
+// @access    Private
+router.post('/', [auth, [
+  check('matchId', 'Either matchId or teamId is required').custom((matchId, { req }) => !matchId !== !req.body.teamId),
+  check('expiresIn', 'Expires in must be between 1 and 43200 minutes').optional().isInt({ min: 1, max: 43200 }),
+  check('maxUses', 'Max uses must be between 1 and 1000').optional().isInt({ min: 1, max: 1000 }),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { matchId, teamId, expiresIn, maxUses } = req.body;
+
+  try {
+    let team = null;
+
+    if (teamId) {
+      team = await Team.findOne({ _id: teamId });
+      if (!team) return res.status(404).json({ msg: 'Team not found' });
+
+      if (team.clan) return res.status(400).json({ errors: [{ msg: 'Clan teams are joined by clan membership' }] });
+    }
+
+    const match = await Match.findOne({ _id: team ? team.match : matchId });
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    // Check user
+    if (!canManage(req.user, { match, team })) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Match is no longer accepting players' }] });
+
+    const invite = await createInvite({
+      game: match.game,
+      match: team ? undefined : match.id,
+      team: team ? team.id : undefined,
+      createdBy: req.user.id,
+      expiresIn: expiresIn && parseInt(expiresIn),
+      maxUses: maxUses && parseInt(maxUses),
+    });
+
+    return res.json(withLink(invite));
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: teamId ? 'Team not found' : 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/invites/match/:matchId
+// @desc      Get the outstanding invites of a match
+// @access    Private
+router.get('/match/:matchId', auth, async (req, res) => {
+  try {
+    const match = await Match.findOne({ _id: req.params.matchId }).select('host');
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    // Check user
+    if (!canManage(req.user, { match })) return res.status(401).json({ msg: 'User not authorized' });
+
+    const invites = await Invite.find({ match: match.id, ...usableFilter() }).sort({ date: -1 });
+
+    return res.json(invites.map(withLink));
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/invites/team/:teamId
+// @desc      Get the outstanding invites of a team
+// @access    Private
+router.get('/team/:teamId', auth, async (req, res) => {
+  try {
+    const team = await Team.findOne({ _id: req.params.teamId }).select('owner');
+    if (!team) return res.status(404).json({ msg: 'Team not found' });
+
+    // Check user
+    if (!canManage(req.user, { team })) return res.status(401).json({ msg: 'User not authorized' });
+
+    const invites = await Invite.find({ team: team.id, ...usableFilter() }).sort({ date: -1 });
+
+    return res.json(invites.map(withLink));
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Team not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/invites/:code
+// @desc      Get what an invite code joins, before redeeming it
+// @access    Private
+router.get('/:code', [auth, rateLimit('redeemInvite')], async (req, res) => {
+  try {
+    const invite = await Invite.findOne({ code: normalizeCode(req.params.code) });
+    if (!invite) return res.status(404).json({ msg: 'Invite not found' });
+
+    const inviteError = getInviteError(invite);
+    if (inviteError) return res.status(400).json({ errors: [{ msg: inviteError }] });
+
+    const game = await Game.findOne({ _id: invite.game }).select('name');
+    const match = invite.match && await Match.findOne({ _id: invite.match }).select(['name', 'status', 'host']);
+    const team = invite.team && await Team.findOne({ _id: invite.team }).select(['name', 'match', 'owner']);
+
+    return res.json({
+      code: invite.code,
+      expires: invite.expires,
+      game,
+      match,
+      team,
+    });
+  } catch (err) {
+    console.log(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/invites/:code
+// @desc      Redeem an invite - joins the match, or the team of a match the user is already a player of
+// @access    Private
+router.post('/:code', [auth, rateLimit('redeemInvite'), bruteForce('redeemInvite', req => [`user:${req.user.id}`, `ip:${req.ip}`])], async (req, res) => {
+  try {
+    if (await req.bruteForce.attempt()) return;
+
+    const invite = await Invite.findOne({ code: normalizeCode(req.params.code) });
+    if (!invite) return res.status(404).json({ msg: 'Invite not found' });
+
+    // Only unknown codes count as failures, so guessing codes is locked out
+    await req.bruteForce.forgive();
+
+    const inviteError = getInviteError(invite);
+    if (inviteError) return res.status(400).json({ errors: [{ msg: inviteError }] });
+
+    if (invite.match) {
+      const match = await Match.findOne({ _id: invite.match });
+      if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+      // Players can only join while the match is in the lobby
+      if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Match is no longer accepting players' }] });
+
+      const game = await Game.findOne({ _id: match.game }).select('players.user');
+      if (!isInArray(game.players, req.user.id)) return res.status(400).json({ msg: 'User is not yet a player of this game' });
+
+      if (isInArray(match.players, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is already a player of this match' }] });
+
+      if (match.isKicked(req.user.id)) return res.status(401).json({ msg: 'User was removed from this match' });
+
+      if (match.isFull()) return res.status(400).json({ errors: [{ msg: 'Match is full' }] });
+
+      if (!await claim(invite)) return res.status(400).json({ errors: [{ msg: 'Invite is no longer valid' }] });
+
+      match.players.unshift({ user: req.user.id });
+      match.lastActivity = Date.now();
+
+      try {
+        await match.save();
+      } catch (err) {
+        await release(invite);
+        throw err;
+      }
+
+      emitPlayers(match, 'playerJoined', req.user.id);
+
+      return res.json(match.players);
+    }
+
+    const team = await Team.findOne({ _id: invite.team });
+    if (!team) return res.status(404).json({ msg: 'Team not found' });
+
+    // If user is not already a player of the match, he cannot join a team
+    const match = await Match.findOne({ _id: team.match });
+
+    if (!isInArray(match.players, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is unable to join, since he/she is not yet a player of this match' }] });
+
+    if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Teams can only be joined while the match is in the lobby' }] });
+
+    if (isInArray(team.members, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is already a member of this team' }] });
+
+    if (!await claim(invite)) return res.status(400).json({ errors: [{ msg: 'Invite is no longer valid' }] });
+
+    team.members.unshift({ user: req.user.id });
+
+    try {
+      await team.save();
+    } catch (err) {
+      await release(invite);
+      throw err;
+    }
+
+    await emitTeams(match.id);
+
+    return res.json(team);
+  } catch (err) {
+    console.log(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/invites/:id
+// @desc      Revoke an invite
+// @access    Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const invite = await Invite.findOne({ _id: req.params.id });
+    if (!invite) return res.status(404).json({ msg: 'Invite not found' });
+
+    const team = invite.team && await Team.findOne({ _id: invite.team }).select('owner');
+    const match = invite.match && await Match.findOne({ _id: invite.match }).select('host');
+
+    // Check user
+    if (invite.createdBy.toString() !== req.user.id && !((team || match) && canManage(req.user, { match, team }))) {
+      return res.status(401).json({ msg: 'User not authorized' });
+    }
+
+    invite.revoked = true;
+    await invite.save();
+
+    return res.json({ msg: 'Invite revoked' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Invite not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
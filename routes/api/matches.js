@@ -1,19 +1,40 @@
 const express = require('express');
 
 const router = express.Router();
-const { check, validationResult } = require('express-validator');
+const {
+  body,
+  check,
+  header,
+  query,
+  validationResult,
+} = require('express-validator');
 const bcrypt = require('bcryptjs');
 
 const auth = require('../../middleware/auth');
+const { isOwnerOr } = require('../../middleware/permit');
+const apiKey = require('../../middleware/apiKey');
+const rateLimit = require('../../middleware/rateLimit');
+const { bruteForce } = require('../../middleware/rateLimit');
 
 const Match = require('../../models/Match');
 const Team = require('../../models/Team');
 const User = require('../../models/User');
 const Game = require('../../models/Game');
-const Result = require('../../models/Result');
+const MatchEvent = require('../../models/MatchEvent');
+const Invite = require('../../models/Invite');
 
 const isInArray = require('../../helpers').isInArray;
-const createResult = require('../../helpers').createResult;
+const replayEvents = require('../../helpers').replayEvents;
+const getTeamStandings = require('../../helpers').getTeamStandings;
+const isKeyForGame = require('../../helpers').isKeyForGame;
+
+const { transition, transitionError } = require('../../lib/matchState');
+const { play } = require('../../lib/gameplay');
+const { completeMatch } = require('../../lib/completion');
+const { emitStatus, emitPlayers } = require('../../lib/matchRoom');
+const { emitLobby, emitLobbyRemoved } = require('../../lib/lobby');
+const { leaveMatch } = require('../../lib/membership');
+const { onMatchAbandoned } = require('../../lib/tournaments');
 
 // @route     Get api/matches
 // @desc      Get all matches created by user
@@ -30,17 +51,27 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route     POST api/matches
-// @desc      Create match
+// @desc      Create match - public matches are listed in the match browser and don't need a secret
 // @access    Private
 router.post('/', [auth, [
-  check('secret', 'Name is required').not().isEmpty(),
+  check('secret', 'Secret is required').if(body('visibility').not().equals('public')).not().isEmpty(),
   check('gameId', 'Game ID is required').not().isEmpty(),
+  check('visibility', `Visibility must be one of: ${Match.VISIBILITIES.join(', ')}`).optional().isIn(Match.VISIBILITIES),
+  check('maxPlayers', 'Max players must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+  check('maxTeams', 'Max teams must be between 2 and 32').optional().isInt({ min: 2, max: 32 }),
 ]],
 async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  const { name, secret, gameId } = req.body;
+  const {
+    name,
+    secret,
+    gameId,
+    visibility,
+    maxPlayers,
+    maxTeams,
+  } = req.body;
 
   try {
     // Check if game exists
@@ -55,15 +86,21 @@ async (req, res) => {
       name,
       host: req.user.id,
       game: gameId,
-      secret,
+      visibility,
+      maxPlayers: maxPlayers ? parseInt(maxPlayers) : null,
+      maxTeams: maxTeams ? parseInt(maxTeams) : null,
     });    
 
-    const salt = await bcrypt.genSalt(10);
-    match.secret = await bcrypt.hash(secret, salt);
+    if (secret) {
+      const salt = await bcrypt.genSalt(10);
+      match.secret = await bcrypt.hash(secret, salt);
+    }
 
     // Save the user to the DB
     await match.save();
 
+    emitLobby(match);
+
     return res.json(match);
   } catch (err) {
     console.log(err.message);
@@ -89,21 +126,18 @@ router.get('/user', auth, async (req, res) => {
 });
 
 // @route     POST api/matches/:id
-// @desc      Join match
+// @desc      Join match - private matches are joined with the secret
 // @access    Private
-router.post('/:id', [auth, [
-  check('secret', 'Secret is required').not().isEmpty(),
-]], 
-async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-
+router.post('/:id', [auth, rateLimit('joinMatch'), bruteForce('joinMatch', req => [`${req.params.id}:user:${req.user.id}`, `${req.params.id}:ip:${req.ip}`])], async (req, res) => {
   const { secret } = req.body;
 
   try {
     const match = await Match.findOne({ _id: req.params.id });
     if (!match) return res.status(404).json({ msg: 'Match not found' });
 
+    // Players can only join while the match is in the lobby
+    if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Match is no longer accepting players' }] });
+
     // Check if player is a player of the game
     const game = await Game.findOne({ _id: match.game });
 
@@ -112,14 +146,29 @@ async (req, res) => {
     // Check if user is already in the match
     if (isInArray(match.players, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is already a player of this match' }] });
 
-    // Check if secrets match
-    const isMatch = await bcrypt.compare(secret, match.secret);
-    if (!isMatch) return res.status(400).json({ errors: [{ msg: 'Invalid Secret' }] });
+    if (match.isKicked(req.user.id)) return res.status(401).json({ msg: 'User was removed from this match' });
+
+    if (match.isFull()) return res.status(400).json({ errors: [{ msg: 'Match is full' }] });
+
+    if (match.visibility !== 'public') {
+      if (!secret) return res.status(400).json({ errors: [{ msg: 'Secret is required', param: 'secret' }] });
+
+      if (await req.bruteForce.attempt()) return;
+
+      // Check if secrets match
+      const isMatch = await bcrypt.compare(secret, match.secret);
+      if (!isMatch) return res.status(400).json({ errors: [{ msg: 'Invalid Secret' }] });
+
+      await req.bruteForce.succeed();
+    }
 
     // Add user to players array
     match.players.unshift({ user: req.user.id });
+    match.lastActivity = Date.now();
     await match.save();
 
+    emitPlayers(match, 'playerJoined', req.user.id);
+
     return res.json(match.players);
   } catch (err) {
     console.log(err.message);
@@ -129,7 +178,7 @@ async (req, res) => {
 });
 
 // @route     DELETE api/matches/:id
-// @desc      Delete match
+// @desc      Delete match - tournament matches can't be deleted
 // @access    Private
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -137,12 +186,19 @@ router.delete('/:id', auth, async (req, res) => {
     if (!match) return res.status(404).json({ msg: 'Match not found' });
 
     // Check user
-    if (match.host.toString() !== req.user.id) return res.status(401).json({ msg: 'User not authorized' });
+    if (!isOwnerOr(req.user, match.host, 'admin', 'moderator')) return res.status(401).json({ msg: 'User not authorized' });
+
+    // The tournament bracket waits for the match
+    if (match.tournament) return res.status(400).json({ errors: [{ msg: 'Tournament matches cannot be deleted' }] });
 
     await match.remove();
 
-    // Delete all teams from the match
+    // Delete all teams, events and invites from the match
     await Team.deleteMany({ match: req.params.id });
+    await MatchEvent.deleteMany({ match: req.params.id });
+    await Invite.deleteMany({ $or: [{ match: req.params.id }, { team: { $in: match.teams } }] });
+
+    if (match.visibility === 'public') emitLobbyRemoved(match);
 
     return res.json({ msg: 'Match removed' });
   } catch (err) {
@@ -152,55 +208,253 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route     PUT api/matches/:id/settings
+// @desc      Change the visibility, secret and limits of a match in the lobby - null removes a limit
+// @access    Private
+router.put('/:id/settings', [auth, [
+  check('visibility', `Visibility must be one of: ${Match.VISIBILITIES.join(', ')}`).optional().isIn(Match.VISIBILITIES),
+  check('secret', 'Secret cannot be empty').optional().not().isEmpty(),
+  check('maxPlayers', 'Max players must be between 1 and 100').optional({ nullable: true }).isInt({ min: 1, max: 100 }),
+  check('maxTeams', 'Max teams must be between 2 and 32').optional({ nullable: true }).isInt({ min: 2, max: 32 }),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const {
+    visibility,
+    secret,
+    maxPlayers,
+    maxTeams,
+  } = req.body;
+
+  try {
+    const match = await Match.findOne({ _id: req.params.id });
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, match.host, 'admin', 'moderator')) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Settings can only be changed while the match is in the lobby' }] });
+
+    if (maxPlayers !== undefined) {
+      if (maxPlayers !== null && parseInt(maxPlayers) < match.players.length) {
+        return res.status(400).json({ errors: [{ msg: 'Match already has more players', param: 'maxPlayers', value: maxPlayers }] });
+      }
+
+      match.maxPlayers = maxPlayers === null ? null : parseInt(maxPlayers);
+    }
+
+    if (maxTeams !== undefined) {
+      if (maxTeams !== null && parseInt(maxTeams) < match.teams.length) {
+        return res.status(400).json({ errors: [{ msg: 'Match already has more teams', param: 'maxTeams', value: maxTeams }] });
+      }
+
+      match.maxTeams = maxTeams === null ? null : parseInt(maxTeams);
+    }
+
+    if (secret) {
+      const salt = await bcrypt.genSalt(10);
+      match.secret = await bcrypt.hash(secret, salt);
+    }
+
+    const wasPublic = match.visibility === 'public';
+    if (visibility) match.visibility = visibility;
+
+    // Public matches can be created without a secret
+    if (match.visibility === 'private' && !match.secret) return res.status(400).json({ errors: [{ msg: 'Secret is required', param: 'secret' }] });
+
+    await match.save();
+
+    if (match.visibility === 'public') emitLobby(match);
+    else if (wasPublic) emitLobbyRemoved(match);
+
+    return res.json(match);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// Players can't leave or be kicked from a finished match, or a tournament match - the bracket needs both sides
+const leaveError = match => {
+  if (match.tournament) return { errors: [{ msg: 'Players cannot leave tournament matches' }] };
+  if (['completed', 'abandoned'].includes(match.status)) return { errors: [{ msg: `Match is ${match.status}`, param: 'status', value: match.status }] };
+
+  return null;
+};
+
+// @route     POST api/matches/:id/leave
+// @desc      Leave a match - players that leave a running match keep the points they scored. A host that leaves
+//            hands the match to the longest standing player, a match without players is abandoned.
+// @access    Private
+router.post('/:id/leave', auth, async (req, res) => {
+  try {
+    const match = await Match.findOne({ _id: req.params.id });
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    const error = leaveError(match);
+    if (error) return res.status(400).json(error);
+
+    const player = match.players.find(p => p.user.toString() === req.user.id && !p.left);
+    if (!player && match.host.toString() !== req.user.id) return res.status(400).json({ errors: [{ msg: 'User is not a player of this match' }] });
+
+    await leaveMatch(match, req.user.id);
+
+    return res.json(match);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/matches/:id/players/:userId
+// @desc      Kick a player - kicked users can't join again, points scored in a running match are kept
+// @access    Private
+router.delete('/:id/players/:userId', auth, async (req, res) => {
+  try {
+    const match = await Match.findOne({ _id: req.params.id });
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, match.host, 'admin', 'moderator')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const error = leaveError(match);
+    if (error) return res.status(400).json(error);
+
+    if (req.params.userId === req.user.id) return res.status(400).json({ errors: [{ msg: 'Leave the match instead of kicking yourself' }] });
+
+    const player = match.players.find(p => p.user.toString() === req.params.userId && !p.left);
+    if (!player) return res.status(400).json({ errors: [{ msg: 'User is not a player of this match', param: 'userId', value: req.params.userId }] });
+
+    await leaveMatch(match, req.params.userId, { kickedBy: req.user.id });
+
+    return res.json(match);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// Handles lifecycle actions that only the host can trigger
+const hostTransition = action => async (req, res) => {
+  try {
+    const match = await Match.findOne({ _id: req.params.id });
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, match.host, 'admin', 'moderator')) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (!transition(match, action)) return res.status(400).json(transitionError(match, action));
+
+    await match.save();
+
+    emitStatus(match);
+
+    if (action === 'abandon') await onMatchAbandoned(match);
+
+    return res.json(match);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+};
+
+// @route     POST api/matches/:id/ready-check
+// @desc      Start a ready check - the match starts once every player is ready
+// @access    Private
+router.post('/:id/ready-check', auth, hostTransition('readyCheck'));
+
+// @route     POST api/matches/:id/ready-check/cancel
+// @desc      Cancel the ready check and go back to the lobby
+// @access    Private
+router.post('/:id/ready-check/cancel', auth, hostTransition('cancelReadyCheck'));
+
+// @route     POST api/matches/:id/ready
+// @desc      Mark the user as ready
+// @access    Private
+router.post('/:id/ready', auth, async (req, res) => {
+  try {
+    const match = await Match.findOne({ _id: req.params.id });
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    if (match.status !== 'ready-check') return res.status(400).json({ errors: [{ msg: 'Match has no ready check in progress' }] });
+
+    const player = match.players.find(p => p.user.toString() === req.user.id);
+    if (!player) return res.status(400).json({ errors: [{ msg: 'User is not a player of this match' }] });
+
+    player.ready = true;
+    match.lastActivity = Date.now();
+
+    // Start the match when everyone is ready
+    const started = match.players.every(p => p.ready) && transition(match, 'start');
+
+    await match.save();
+
+    emitPlayers(match, 'playerReady', req.user.id);
+    if (started) emitStatus(match);
+
+    return res.json(match);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/matches/:id/start
+// @desc      Start the match without waiting for the ready check
+// @access    Private
+router.post('/:id/start', auth, hostTransition('start'));
+
+// @route     POST api/matches/:id/pause
+// @desc      Pause the match
+// @access    Private
+router.post('/:id/pause', auth, hostTransition('pause'));
+
+// @route     POST api/matches/:id/resume
+// @desc      Resume a paused match
+// @access    Private
+router.post('/:id/resume', auth, hostTransition('resume'));
+
+// @route     POST api/matches/:id/abandon
+// @desc      Abandon the match - no results are saved
+// @access    Private
+router.post('/:id/abandon', auth, hostTransition('abandon'));
+
 // @route     POST api/matches/:id/play
 // @desc      Gameplay
-// @access    Public for now
-router.post('/:id/play', [auth, [
+// @access    Private (user or game API key with the play scope)
+router.post('/:id/play', [apiKey('play', { orUser: true }), [
   check('item', 'Item is required').not().isEmpty(),
   check('playerId', 'Player ID is required').not().isEmpty(),
+  check('clientSeq', 'Client seq must be a positive integer').optional().isInt({ min: 0 }),
 ]],
 async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
   const { playerId, item } = req.body;
+  const clientSeq = req.body.clientSeq !== undefined ? parseInt(req.body.clientSeq) : undefined;
+
+  // Users can only score for themselves, game servers for any player
+  if (!req.apiKey && playerId !== req.user.id) return res.status(401).json({ msg: 'User not authorized' });
 
   try {
     // Check if match exists
     const match = await Match.findOne({ _id: req.params.id });
     if (!match) return res.status(404).json({ msg: 'Match not found' });
-    
-    if (match.isCompleted) return res.status(400).json({ msg: 'Match has already been completed' });
-    
-    const { players, game } = match;
-
-    let points = 0;
-
-    switch (item.toLowerCase()) {
-      case 'dot':
-        points = 10;
-        break;
-      case 'fruit':
-        points = 50;
-        break;
-      case 'ghost':
-        points = 300;
-        break;
-      default:
-        return res.status(400).send('Not a valid item');
-    }
 
-    const index = players.findIndex(player => player.user.toString() === playerId);
-    players[index].xp += points;
+    if (!isKeyForGame(req, match.game)) return res.status(403).json({ msg: 'API key is not valid for this game' });
 
-    // Earning points during gameplay
-    const result = await createResult(players, req.params.id, game);
-
-    // Save result to match
-    match.result = result;
-    await match.save();
+    const scored = await play(match, playerId, item, { clientSeq });
+    if (scored.errors) return res.status(scored.status).json({ errors: scored.errors });
 
-    return res.json(result);
+    return res.json(scored);
   } catch (err) {
     console.log(err.message);
     if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Post not found' }); // This runs if the ID passed in is not a valid object id
@@ -208,37 +462,92 @@ async (req, res) => {
   }
 });
 
-// @route     GET api/matches/:id/stop
-// @desc      Stop game - save results
-// @access    Public for now
-router.get('/:id/stop', async (req, res) => {
+// @route     GET api/matches/:id/events
+// @desc      Replay the match - returns the events and the score up to ?seq= or ?at= (date), or the whole match
+// @access    Private
+router.get('/:id/events', [auth, [
+  query('seq', 'Seq must be a positive integer').optional().isInt({ min: 0 }),
+  query('at', 'At must be a date').optional().isISO8601(),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const match = await Match.findOne({ _id: req.params.id }).select(['players.user', 'eventSeq', 'status']);
+    if (!match) return res.status(404).json({ msg: 'Match not found' });
+
+    const filter = { match: match.id };
+    if (req.query.seq) filter.seq = { $lte: parseInt(req.query.seq) };
+    if (req.query.at) filter.date = { $lte: new Date(req.query.at) };
+
+    // Voided scores were taken back
+    filter['flag.status'] = { $ne: 'voided' };
+
+    const events = await MatchEvent.find(filter).sort({ seq: 1 });
+    const teams = await Team.find({ match: match.id });
+
+    const players = replayEvents(match.players, events);
+
+    return res.json({
+      status: match.status,
+      seq: events.length > 0 ? events[events.length - 1].seq : 0,
+      lastSeq: match.eventSeq,
+      players,
+      teams: getTeamStandings(players, teams),
+      events,
+    });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/matches/:id/complete
+// @desc      Complete the match and save the result - players ([{ user, xp }]) sets the final scores and can only be
+//            sent with a game API key, the running score is used without it. Retries with the same Idempotency-Key header (or idempotencyKey) get the saved result.
+// @access    Private (match host or game API key with the stop scope)
+router.post('/:id/complete', [apiKey('stop', { orUser: true }), [
+  header('idempotency-key', 'Idempotency key must be at most 100 characters').optional().isLength({ min: 1, max: 100 }),
+  body('idempotencyKey', 'Idempotency key must be at most 100 characters').optional().isString().isLength({ min: 1, max: 100 }),
+  body('players', 'Players must be a non-empty array').optional().isArray({ min: 1 }),
+  body('players.*.user', 'User is required').not().isEmpty(),
+  body('players.*.xp', 'XP must be a whole number of at least 0').isInt({ min: 0 }),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const key = req.header('idempotency-key') || req.body.idempotencyKey;
+  const scores = req.body.players && req.body.players.map(({ user, xp }) => ({ user: String(user), xp: parseInt(xp) }));
+
   try {
     // Check if match exists
     const match = await Match.findOne({ _id: req.params.id });
     if (!match) return res.status(404).json({ msg: 'Match not found' });
-    
-    if (match.isCompleted) return res.status(400).json({ msg: 'Match has already been completed' });
 
-    const result = await Result.findOne({ _id: match.result });
+    // Check caller
+    if (!isKeyForGame(req, match.game)) return res.status(403).json({ msg: 'API key is not valid for this game' });
+    if (!req.apiKey && !isOwnerOr(req.user, match.host, 'admin', 'moderator')) return res.status(401).json({ msg: 'User not authorized' });
 
-    const { players } = result;
+    // Only the game server decides the final scores, hosts complete the match with the running score
+    if (!req.apiKey && scores) return res.status(401).json({ msg: 'Final scores can only be sent with a game API key' });
 
-    // Stop game
-    match.isCompleted = true;
-    await match.save();
+    const completed = await completeMatch(match, { key, scores });
+    if (completed.errors) return res.status(completed.status).json({ errors: completed.errors });
 
-    // Update player results
-    const game = await Game.findOne({ _id: match.game });
+    const { result, standings, replayed } = completed;
 
-    for (let i = 0; i < players.length; i++) {
-      game.players.find(player => player.user.toString() === players[i].user.toString()).xp += parseInt(players[i].xp);
-      await game.save();
-    }
-
-    return res.json({ msg: 'Game successfully stopped!' });
+    return res.json({
+      msg: 'Match completed',
+      result,
+      standings,
+      replayed,
+    });
   } catch (err) {
     console.log(err.message);
-    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Post not found' }); // This runs if the ID passed in is not a valid object id
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Match not found' });
     res.status(500).send('Server error');
   }
 });
@@ -2,19 +2,21 @@ const express = require('express');
 
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const auth = require('../../middleware/auth');
+const apiKey = require('../../middleware/apiKey');
 
 const Match = require('../../models/Match');
+const Team = require('../../models/Team');
 
 const createResult = require('../../helpers').createResult;
+const isKeyForGame = require('../../helpers').isKeyForGame;
 
 // @route     POST api/results
 // @desc      Create a result
-// @access    Public
-router.post('/', [
+// @access    Private (game API key with the results:write scope)
+router.post('/', [apiKey('results:write'), [
   check('players', 'Players are required').not().isEmpty(),
   check('match', 'Match is required').not().isEmpty(),
-],
+]],
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
@@ -35,7 +37,10 @@ router.post('/', [
 
       if (!matchId) return res.status(404).json({ msg: 'Match not valid' });
 
-      const result = await createResult(players, match);      
+      if (!isKeyForGame(req, matchId.game)) return res.status(403).json({ msg: 'API key is not valid for this game' });
+
+      const teams = await Team.find({ match });
+      const result = await createResult(players, match, matchId.game, teams);
 
       return res.json(result);
     } catch (err) {
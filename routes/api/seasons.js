@@ -0,0 +1,181 @@
+const express = require('express');
+
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const { isOwnerOr } = require('../../middleware/permit');
+
+const Game = require('../../models/Game');
+const User = require('../../models/User');
+const Season = require('../../models/Season');
+const SeasonArchive = require('../../models/SeasonArchive');
+
+const { overlapsSeason } = require('../../lib/seasons');
+const { buildLeaderboard } = require('../../lib/leaderboard');
+
+// @route     GET api/seasons/game/:gameId
+// @desc      Get all seasons of a game
+// @access    Public
+router.get('/game/:gameId', async (req, res) => {
+  try {
+    const seasons = await Season.find({ game: req.params.gameId }).sort({ start: -1 });
+    return res.json(seasons);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/seasons
+// @desc      Create a season
+// @access    Private
+router.post('/', [auth, [
+  check('gameId', 'Game ID is required').not().isEmpty(),
+  check('name', 'Name is required').not().isEmpty(),
+  check('start', 'Start must be a date').isISO8601(),
+  check('end', 'End must be a date').isISO8601(),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { gameId, name } = req.body;
+  const start = new Date(req.body.start);
+  const end = new Date(req.body.end);
+
+  try {
+    const game = await Game.findOne({ _id: gameId }).select('developer');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (end <= start) return res.status(400).json({ errors: [{ msg: 'Season must end after it starts' }] });
+    if (end <= Date.now()) return res.status(400).json({ errors: [{ msg: 'Season has already ended' }] });
+
+    if (await overlapsSeason(gameId, start, end)) return res.status(400).json({ errors: [{ msg: 'Season overlaps another season' }] });
+
+    const season = new Season({
+      game: gameId,
+      name,
+      start,
+      end,
+    });
+
+    await season.save();
+
+    return res.json(season);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/seasons/:id
+// @desc      Update a season - the start can only be changed before the season starts
+// @access    Private
+router.put('/:id', [auth, [
+  check('start', 'Start must be a date').optional().isISO8601(),
+  check('end', 'End must be a date').optional().isISO8601(),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const season = await Season.findOne({ _id: req.params.id });
+    if (!season) return res.status(404).json({ msg: 'Season not found' });
+
+    const game = await Game.findOne({ _id: season.game }).select('developer');
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (season.isArchived) return res.status(400).json({ errors: [{ msg: 'Season has already ended' }] });
+
+    const start = req.body.start ? new Date(req.body.start) : season.start;
+    const end = req.body.end ? new Date(req.body.end) : season.end;
+
+    if (req.body.start && season.start <= Date.now()) return res.status(400).json({ errors: [{ msg: 'Season has already started' }] });
+    if (end <= start) return res.status(400).json({ errors: [{ msg: 'Season must end after it starts' }] });
+    if (end <= Date.now()) return res.status(400).json({ errors: [{ msg: 'Use a future end date to end the season' }] });
+
+    if (await overlapsSeason(season.game, start, end, season.id)) return res.status(400).json({ errors: [{ msg: 'Season overlaps another season' }] });
+
+    if (req.body.name) season.name = req.body.name;
+    season.start = start;
+    season.end = end;
+
+    await season.save();
+
+    return res.json(season);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Season not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/seasons/:id
+// @desc      Delete a season that hasn't started yet
+// @access    Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const season = await Season.findOne({ _id: req.params.id });
+    if (!season) return res.status(404).json({ msg: 'Season not found' });
+
+    const game = await Game.findOne({ _id: season.game }).select('developer');
+
+    // Check user
+    if (!isOwnerOr(req.user, game.developer, 'admin')) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (season.start <= Date.now()) return res.status(400).json({ errors: [{ msg: 'Season has already started' }] });
+
+    await season.remove();
+
+    return res.json({ msg: 'Season removed' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Season not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/seasons/:id/standings
+// @desc      Get the standings of a season - live for the current season, archived for past seasons
+// @access    Public
+router.get('/:id/standings', async (req, res) => {
+  try {
+    const season = await Season.findOne({ _id: req.params.id });
+    if (!season) return res.status(404).json({ msg: 'Season not found' });
+
+    if (season.isArchived) {
+      const archive = await SeasonArchive.findOne({ season: season.id }).populate('standings.user', 'username', User);
+      return res.json(archive);
+    }
+
+    if (season.start > Date.now()) return res.status(400).json({ errors: [{ msg: 'Season has not started yet' }] });
+
+    const game = await Game.findOne({ _id: season.game }).select('players');
+    const standings = (await buildLeaderboard(game, { sort: 'xp', window: 'season', season: season.id })).filter(row => row.matches > 0);
+
+    const users = await User.find({ _id: { $in: standings.map(row => row.user) } }).select('username');
+
+    return res.json({
+      season: season.id,
+      game: season.game,
+      name: season.name,
+      start: season.start,
+      end: season.end,
+      standings: standings.map(row => ({ ...row, user: users.find(user => user.id === row.user) || { _id: row.user } })),
+    });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Season not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
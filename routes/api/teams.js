@@ -5,14 +5,22 @@ const { check, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 
 const auth = require('../../middleware/auth');
+const { isOwnerOr } = require('../../middleware/permit');
+const rateLimit = require('../../middleware/rateLimit');
+const { bruteForce } = require('../../middleware/rateLimit');
 
 const Match = require('../../models/Match');
 const Team = require('../../models/Team');
 const User = require('../../models/User');
 const Game = require('../../models/Game');
+const Clan = require('../../models/Clan');
+const Invite = require('../../models/Invite');
 
 const isInArray = require('../../helpers').isInArray;
 
+const { emitTeams } = require('../../lib/matchRoom');
+const { leaveTeam } = require('../../lib/membership');
+
 // @route     Get api/teams
 // @desc      Get all teams by user ID
 // @access    Private
@@ -27,7 +35,7 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route     POST api/teams
-// @desc      Create a team
+// @desc      Create a team - the owner joins public matches with the team, private matches have to be joined first
 // @access    Private
 router.post('/', [auth, [
   check('name', 'Name is required').not().isEmpty(),
@@ -49,8 +57,20 @@ async (req, res) => {
     const match = await Match.findOne({ _id: matchId });
     if (!match) return res.status(400).json({ errors: [{ msg: 'Match not found' }] });
 
+    // Teams can only be formed in the lobby
+    if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Teams can only be created while the match is in the lobby' }] });
+
     if (!isInArray(game.players, req.user.id)) return res.status(400).json({ msg: 'User is not a player of the game' });
 
+    if (!match.hasTeamSlot()) return res.status(400).json({ errors: [{ msg: 'Match already has the maximum number of teams' }] });
+
+    // The owner joins the match with the team - private matches have to be joined with the secret or an invite first
+    if (!isInArray(match.players, req.user.id)) {
+      if (match.visibility !== 'public') return res.status(401).json({ msg: 'User has to join this match before creating a team' });
+      if (match.isKicked(req.user.id)) return res.status(401).json({ msg: 'User was removed from this match' });
+      if (match.isFull()) return res.status(400).json({ errors: [{ msg: 'Match is full' }] });
+    }
+
     // Create team
     const team = new Team({
       name,
@@ -74,6 +94,8 @@ async (req, res) => {
 
     await match.save();
 
+    await emitTeams(match.id);
+
     return res.json(team);
   } catch (err) {
     console.log(err.message);
@@ -83,15 +105,10 @@ async (req, res) => {
 });
 
 // @route     POST api/teams/:teamId
-// @desc      Join a team - Joining is ONLY possible if the user is already a player of the match beforehand
+// @desc      Join a team - Joining is ONLY possible if the user is already a player of the match beforehand.
+//            Clan teams are joined by clan membership, other teams with the secret
 // @access    Private
-router.post('/:teamId', [auth, [
-  check('secret', 'Secret is required').not().isEmpty(),
-]],
-async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
-
+router.post('/:teamId', [auth, rateLimit('joinTeam'), bruteForce('joinTeam', req => [`${req.params.teamId}:user:${req.user.id}`, `${req.params.teamId}:ip:${req.ip}`])], async (req, res) => {
   const { secret } = req.body;
 
   try {    
@@ -104,16 +121,32 @@ async (req, res) => {
 
     if (!isInArray(match.players, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is unable to join, since he/she is not yet a player of this match' }] });
 
+    if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Teams can only be joined while the match is in the lobby' }] });
+
     // Check if user is already in the team
     if (isInArray(team.members, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is already a member of this team' }] });
 
-    // Check if secrets match
-    const isMatch = await bcrypt.compare(secret, team.secret);
-    if (!isMatch) return res.status(400).json({ errors: [{ msg: 'Invalid Secret' }] });
+    if (team.clan) {
+      // Check if user is a member of the clan
+      const clan = await Clan.findOne({ _id: team.clan }).select('members');
+      if (!clan || !isInArray(clan.members, req.user.id)) return res.status(401).json({ errors: [{ msg: 'User is not a member of this clan' }] });
+    } else {
+      if (!secret) return res.status(400).json({ errors: [{ msg: 'Secret is required', param: 'secret' }] });
+
+      if (await req.bruteForce.attempt()) return;
+
+      // Check if secrets match
+      const isMatch = await bcrypt.compare(secret, team.secret);
+      if (!isMatch) return res.status(400).json({ errors: [{ msg: 'Invalid Secret' }] });
+
+      await req.bruteForce.succeed();
+    }
     
     team.members.unshift({ user: req.user.id });
     await team.save();
 
+    await emitTeams(match.id);
+
     return res.json(team);
   } catch (err) {
     console.log(err.message);
@@ -122,6 +155,64 @@ async (req, res) => {
   }
 });
 
+// @route     POST api/teams/:teamId/leave
+// @desc      Leave a team while the match is in the lobby - the user stays a player of the match. An owner
+//            that leaves hands the team to the next member, a team without members is removed.
+// @access    Private
+router.post('/:teamId/leave', auth, async (req, res) => {
+  try {
+    const team = await Team.findOne({ _id: req.params.teamId });
+    if (!team) return res.status(404).json({ msg: 'Team not found' });
+
+    const match = await Match.findOne({ _id: team.match });
+
+    if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Teams can only be left while the match is in the lobby' }] });
+
+    if (!isInArray(team.members, req.user.id)) return res.status(400).json({ errors: [{ msg: 'User is not a member of this team' }] });
+
+    const kept = await leaveTeam(team, req.user.id);
+
+    await emitTeams(match.id);
+
+    return res.json(kept || { msg: 'Team removed' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Team not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/teams/:teamId/members/:userId
+// @desc      Kick a member from a team while the match is in the lobby - the user stays a player of the match
+// @access    Private
+router.delete('/:teamId/members/:userId', auth, async (req, res) => {
+  try {
+    const team = await Team.findOne({ _id: req.params.teamId });
+    if (!team) return res.status(404).json({ msg: 'Team not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, team.owner, 'admin', 'moderator')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const match = await Match.findOne({ _id: team.match });
+
+    if (match.status !== 'lobby') return res.status(400).json({ errors: [{ msg: 'Teams can only be changed while the match is in the lobby' }] });
+
+    if (req.params.userId === req.user.id) return res.status(400).json({ errors: [{ msg: 'Leave the team instead of kicking yourself' }] });
+
+    if (!isInArray(team.members, req.params.userId)) return res.status(400).json({ errors: [{ msg: 'User is not a member of this team', param: 'userId', value: req.params.userId }] });
+
+    const kept = await leaveTeam(team, req.params.userId);
+
+    await emitTeams(match.id);
+
+    return res.json(kept || { msg: 'Team removed' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Team not found' });
+    res.status(500).send('Server error');
+  }
+});
+
 // @route     GET api/teams/user
 // @desc      Get teams from user ID
 // @access    Private
@@ -147,6 +238,7 @@ router.delete('/:id', auth, async (req, res) => {
     if (team.owner.toString() !== req.user.id) return res.status(401).json({ msg: 'User not authorized' });
 
     await team.remove();
+    await Invite.deleteMany({ team: req.params.id });
 
     const match = await Match.findOne({ teams: { _id: req.params.id } });
 
@@ -156,6 +248,8 @@ router.delete('/:id', auth, async (req, res) => {
 
     await match.save();
 
+    await emitTeams(match.id);
+
     return res.json({ msg: 'Team removed' });
   } catch (err) {
     console.log(err.message);
@@ -0,0 +1,266 @@
+const express = require('express');
+
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
+const { isOwnerOr } = require('../../middleware/permit');
+
+const Clan = require('../../models/Clan');
+const Game = require('../../models/Game');
+const Invite = require('../../models/Invite');
+const Match = require('../../models/Match');
+const Team = require('../../models/Team');
+const Tournament = require('../../models/Tournament');
+const User = require('../../models/User');
+
+const { getStandings, startTournament } = require('../../lib/tournaments');
+
+const isInArray = require('../../helpers').isInArray;
+
+// Returns why the participant can't register, null if they can
+const registrationError = (tournament, participant) => {
+  if (tournament.status !== 'registration') return 'Registration is closed';
+
+  const field = participant.user ? 'user' : 'clan';
+  if (tournament.participants.some(p => p[field] && p[field].toString() === participant[field])) return participant.user ? 'User is already registered' : 'Clan is already registered';
+
+  if (tournament.participants.length >= tournament.maxParticipants) return 'Tournament is full';
+
+  return null;
+};
+
+// @route     GET api/tournaments/game/:gameId
+// @desc      Get all tournaments of a game
+// @access    Public
+router.get('/game/:gameId', async (req, res) => {
+  try {
+    const tournaments = await Tournament.find({ game: req.params.gameId }).select(['-nodes']).sort({ date: -1 });
+    return res.json(tournaments);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/tournaments/:id
+// @desc      Get a tournament with its bracket, round robin tournaments also get the standings
+// @access    Public
+router.get('/:id', async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.id });
+    if (!tournament) return res.status(404).json({ msg: 'Tournament not found' });
+
+    const standings = tournament.format === 'round-robin' && tournament.status !== 'registration' ? getStandings(tournament) : undefined;
+
+    return res.json({ tournament, standings });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Tournament not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/tournaments
+// @desc      Create a tournament
+// @access    Private
+router.post('/', [auth, [
+  check('gameId', 'Game ID is required').not().isEmpty(),
+  check('name', 'Name is required').not().isEmpty(),
+  check('format', `Format must be one of: ${Tournament.FORMATS.join(', ')}`).optional().isIn(Tournament.FORMATS),
+  check('participantType', 'Participant type must be player or clan').optional().isIn(['player', 'clan']),
+  check('seedBy', 'Seed by must be xp or rating').optional().isIn(['xp', 'rating']),
+  check('maxParticipants', 'Max participants must be between 2 and 128').optional().isInt({ min: 2, max: 128 }),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { gameId, name, format, participantType, seedBy, maxParticipants } = req.body;
+
+  try {
+    const game = await Game.findOne({ _id: gameId }).select('players.user');
+    if (!game) return res.status(404).json({ msg: 'Game not found' });
+
+    if (!isInArray(game.players, req.user.id)) return res.status(400).json({ msg: 'User is not yet a player of this game' });
+
+    const tournament = new Tournament({
+      game: gameId,
+      organizer: req.user.id,
+      name,
+      format,
+      participantType,
+      seedBy,
+      maxParticipants,
+    });
+
+    await tournament.save();
+
+    return res.json(tournament);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Game not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/tournaments/:id/register
+// @desc      Register for a tournament - the user for player tournaments, a clan (clanId) by its owner or an officer
+// @access    Private
+router.post('/:id/register', auth, async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.id });
+    if (!tournament) return res.status(404).json({ msg: 'Tournament not found' });
+
+    if (tournament.status !== 'registration') return res.status(400).json({ errors: [{ msg: 'Registration is closed' }] });
+
+    let participant;
+
+    if (tournament.participantType === 'player') {
+      const game = await Game.findOne({ _id: tournament.game }).select('players.user');
+      if (!isInArray(game.players, req.user.id)) return res.status(400).json({ msg: 'User is not yet a player of this game' });
+
+      const user = await User.findOne({ _id: req.user.id }).select('username');
+
+      participant = { user: req.user.id, name: user.username };
+    } else {
+      const clan = await Clan.findOne({ _id: req.body.clanId });
+      if (!clan || clan.game.toString() !== tournament.game.toString()) return res.status(404).json({ msg: 'Clan not found' });
+
+      // Check user
+      const member = clan.members.find(m => m.user.toString() === req.user.id);
+      if (!member || !['owner', 'officer'].includes(member.role)) return res.status(401).json({ msg: 'User not authorized' });
+
+      participant = { clan: clan.id, name: clan.name };
+    }
+
+    const error = registrationError(tournament, participant);
+    if (error) return res.status(400).json({ errors: [{ msg: error }] });
+
+    // Registrations made at the same time are only pushed while there is room and the participant isn't in yet
+    const field = participant.user ? 'user' : 'clan';
+
+    const registered = await Tournament.findOneAndUpdate(
+      {
+        _id: tournament.id,
+        status: 'registration',
+        [`participants.${tournament.maxParticipants - 1}`]: { $exists: false },
+        [`participants.${field}`]: { $ne: participant[field] },
+      },
+      { $push: { participants: participant }, $inc: { __v: 1 } },
+      { new: true },
+    );
+
+    if (!registered) {
+      const current = await Tournament.findOne({ _id: tournament.id });
+      return res.status(400).json({ errors: [{ msg: (current && registrationError(current, participant)) || 'Registration is closed' }] });
+    }
+
+    return res.json(registered.participants);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Tournament not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/tournaments/:id/register
+// @desc      Withdraw from a tournament before it starts - clans are withdrawn with clanId
+// @access    Private
+router.delete('/:id/register', auth, async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.id });
+    if (!tournament) return res.status(404).json({ msg: 'Tournament not found' });
+
+    if (tournament.status !== 'registration') return res.status(400).json({ errors: [{ msg: 'Registration is closed' }] });
+
+    let removeIndex;
+
+    if (tournament.participantType === 'player') {
+      removeIndex = tournament.participants.map(p => p.user.toString()).indexOf(req.user.id);
+    } else {
+      const clan = await Clan.findOne({ _id: req.body.clanId });
+      if (!clan) return res.status(404).json({ msg: 'Clan not found' });
+
+      // Check user
+      const member = clan.members.find(m => m.user.toString() === req.user.id);
+      if (!member || !['owner', 'officer'].includes(member.role)) return res.status(401).json({ msg: 'User not authorized' });
+
+      removeIndex = tournament.participants.map(p => p.clan.toString()).indexOf(clan.id);
+    }
+
+    if (removeIndex === -1) return res.status(400).json({ errors: [{ msg: 'Not registered for this tournament' }] });
+
+    // Pulled on its own, so registrations made at the same time aren't overwritten
+    const participant = tournament.participants[removeIndex];
+
+    const withdrawn = await Tournament.findOneAndUpdate(
+      { _id: tournament.id, status: 'registration' },
+      { $pull: { participants: { _id: participant._id } }, $inc: { __v: 1 } },
+      { new: true },
+    );
+
+    if (!withdrawn) return res.status(400).json({ errors: [{ msg: 'Registration is closed' }] });
+
+    return res.json(withdrawn.participants);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Tournament not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     POST api/tournaments/:id/start
+// @desc      Close the registration, seed the participants and create the first matches
+// @access    Private
+router.post('/:id/start', auth, async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.id });
+    if (!tournament) return res.status(404).json({ msg: 'Tournament not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, tournament.organizer, 'admin', 'moderator')) return res.status(401).json({ msg: 'User not authorized' });
+
+    if (tournament.status !== 'registration') return res.status(400).json({ errors: [{ msg: 'Tournament has already started' }] });
+
+    if (tournament.participants.length < 2) return res.status(400).json({ errors: [{ msg: 'At least 2 participants are required' }] });
+
+    await startTournament(tournament);
+
+    return res.json(tournament);
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Tournament not found' });
+    if (err.name === 'VersionError') return res.status(400).json({ errors: [{ msg: 'Tournament was changed while starting, try again' }] });
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/tournaments/:id
+// @desc      Delete a tournament and the matches it has not finished yet
+// @access    Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.id });
+    if (!tournament) return res.status(404).json({ msg: 'Tournament not found' });
+
+    // Check user
+    if (!isOwnerOr(req.user, tournament.organizer, 'admin', 'moderator')) return res.status(401).json({ msg: 'User not authorized' });
+
+    const openMatches = await Match.find({ tournament: tournament.id, status: { $nin: ['completed', 'abandoned'] } }).select('_id');
+    const matchIds = openMatches.map(match => match.id);
+
+    await Team.deleteMany({ match: { $in: matchIds } });
+    await Invite.deleteMany({ match: { $in: matchIds } });
+    await Match.deleteMany({ _id: { $in: matchIds } });
+    await tournament.remove();
+
+    return res.json({ msg: 'Tournament removed' });
+  } catch (err) {
+    console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'Tournament not found' });
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,28 @@ const express = require('express');
 
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const config = require('config');
 const { check, validationResult } = require('express-validator');
+const auth = require('../../middleware/auth');
 
+const Game = require('../../models/Game');
 const User = require('../../models/User');
 
+const { createSession, revokeAll } = require('../../lib/session');
+const { buildProfile } = require('../../lib/profiles');
+const { deleteAccount } = require('../../lib/accounts');
+const { issue } = require('../../lib/accountTokens');
+const { sendVerification } = require('../../lib/mailer');
+
+const PROFILE_FIELDS = ['displayName', 'avatar', 'bio', 'country'];
+
+// Changing the email or password and deleting the account need the current password
+const checkPassword = async (userId, password) => {
+  const user = await User.findOne({ _id: userId });
+  const isMatch = !!password && await bcrypt.compare(password, user.password);
+
+  return isMatch ? user : null;
+};
+
 // @route     POST api/users
 // @desc      Register user
 // @access    Public
@@ -20,7 +36,7 @@ async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-  const { username, email, password } = req.body;
+  const { username, email, password, device } = req.body;
 
   try {
     let user = await User.findOne({ email });
@@ -40,23 +56,146 @@ async (req, res) => {
     // Save the user to the DB
     await user.save();
 
-    const payload = {
-      user: {
-        id: user.id, // with mongoose there's an abstraction, we don't have to use user._id
-      },
-    };
-
-    jwt.sign(
-      payload,
-      config.get('jwtSecret'),
-      { expiresIn: 3600 },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token });
-      },
-    );
+    // Registration works even if the email can't be sent, the user can ask for a new one
+    sendVerification(user, await issue(user, 'verify-email')).catch(err => console.log(err.message));
+
+    const { token, refreshToken } = await createSession(user.id, device || req.header('user-agent'));
+
+    res.json({ token, refreshToken });
+  } catch (err) {
+    console.log(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/users/me
+// @desc      Update the profile of the user - empty values clear a field
+// @access    Private
+router.put('/me', [auth, [
+  check('displayName', 'Display name must be at most 32 characters').optional().isLength({ max: 32 }),
+  check('avatar', 'Avatar must be a valid URL').optional({ checkFalsy: true }).isURL({ protocols: ['http', 'https'], require_protocol: true }),
+  check('bio', 'Bio must be at most 280 characters').optional().isLength({ max: 280 }),
+  check('country', 'Country must be a 2 letter country code').optional({ checkFalsy: true }).isISO31661Alpha2(),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const user = await User.findOne({ _id: req.user.id }).select('-password');
+
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) user[field] = req.body[field] || undefined;
+    });
+
+    await user.save();
+
+    res.json(user);
+  } catch (err) {
+    console.log(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/users/me/email
+// @desc      Change the email of the user
+// @access    Private
+router.put('/me/email', [auth, [
+  check('email', 'Please include a valid email,').isEmail(),
+  check('password', 'Password is required').not().isEmpty(),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { email, password } = req.body;
+
+  try {
+    const user = await checkPassword(req.user.id, password);
+    if (!user) return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
+
+    if (await User.exists({ email, _id: { $ne: user.id } })) return res.status(400).json({ errors: [{ msg: 'User already exists' }] });
+
+    user.email = email;
+    user.emailVerified = false;
+    await user.save();
+
+    sendVerification(user, await issue(user, 'verify-email')).catch(err => console.log(err.message));
+
+    res.json({ msg: 'Email changed, check your inbox to verify it', email });
+  } catch (err) {
+    console.log(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     PUT api/users/me/password
+// @desc      Change the password of the user - every other session is logged out
+// @access    Private
+router.put('/me/password', [auth, [
+  check('password', 'Password is required').not().isEmpty(),
+  check('newPassword', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  const { password, newPassword } = req.body;
+
+  try {
+    const user = await checkPassword(req.user.id, password);
+    if (!user) return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    await revokeAll(user.id, req.user.session);
+
+    res.json({ msg: 'Password changed' });
+  } catch (err) {
+    console.log(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     DELETE api/users/me
+// @desc      Delete the account - users that develop games have to delete them first
+// @access    Private
+router.delete('/me', [auth, [
+  check('password', 'Password is required').not().isEmpty(),
+]],
+async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+  try {
+    const user = await checkPassword(req.user.id, req.body.password);
+    if (!user) return res.status(400).json({ errors: [{ msg: 'Invalid Credentials' }] });
+
+    if (await Game.exists({ developer: user.id })) return res.status(400).json({ errors: [{ msg: 'Delete your games before deleting the account' }] });
+
+    await deleteAccount(user.id);
+
+    res.json({ msg: 'Account deleted' });
+  } catch (err) {
+    console.log(err.message);
+    res.status(500).send('Server error');
+  }
+});
+
+// @route     GET api/users/:id
+// @desc      Get the public profile of a user with their stats in every game they play
+// @access    Public
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await buildProfile(req.params.id);
+    if (!profile) return res.status(404).json({ msg: 'User not found' });
+
+    res.json(profile);
   } catch (err) {
     console.log(err.message);
+    if (err.kind === 'ObjectId') return res.status(404).json({ msg: 'User not found' });
     res.status(500).send('Server error');
   }
 });
@@ -2,21 +2,50 @@ const express = require('express');
 const connectDB = require('./config/db');
 
 const Game = require('./models/Game');
-const User = require('./models/User');
+const Match = require('./models/Match');
+const Team = require('./models/Team');
+const Tournament = require('./models/Tournament');
+const Ticket = require('./models/Ticket');
+
+const {
+  init,
+  gameRoom,
+  tournamentRoom,
+  matchRoom,
+  lobbyRoom,
+} = require('./lib/socket');
+const { play } = require('./lib/gameplay');
+const matchmaking = require('./lib/matchmaking');
+const matchState = require('./lib/matchState');
+const seasons = require('./lib/seasons');
+const broadcast = require('./lib/broadcast');
+const { loadScores } = require('./lib/broadcast');
+const { migrate } = require('./lib/migrations');
+const socketAuth = require('./middleware/socketAuth');
+const { joinAuthRooms } = require('./middleware/socketAuth');
+
+const isInArray = require('./helpers').isInArray;
+const getTeamStandings = require('./helpers').getTeamStandings;
+const getSetting = require('./helpers').getSetting;
 
 const app = express();
 const server = require('http').Server(app);
-const io = require('socket.io')(server, {
+const io = init(require('socket.io')(server, {
   cors: {
-    origin: '*',
+    origin: getSetting('corsOrigin', 'http://localhost:3000'),
     methods: ['GET', 'POST']
   }
-});
+}));
 
 // Connect database
 connectDB();
 
+// Update the documents saved by older versions
+migrate().catch(err => console.log(err.message));
+
 // Init Middleware
+// Behind a proxy the client address comes from X-Forwarded-For, rate limits count requests by it
+app.set('trust proxy', getSetting('trustProxy', false));
 app.use(express.json({ extended: false }));
 
 app.get('/', (req, res) => res.send('API Running'));
@@ -28,37 +57,213 @@ app.use('/api/matches', require('./routes/api/matches'));
 app.use('/api/games', require('./routes/api/games'));
 app.use('/api/teams', require('./routes/api/teams'));
 app.use('/api/results', require('./routes/api/results'));
+app.use('/api/seasons', require('./routes/api/seasons'));
+app.use('/api/achievements', require('./routes/api/achievements'));
+app.use('/api/clans', require('./routes/api/clans'));
+app.use('/api/tournaments', require('./routes/api/tournaments'));
+app.use('/api/admin', require('./routes/api/admin'));
+app.use('/api/invites', require('./routes/api/invites'));
+
+// Retry forming matches for players waiting in matchmaking queues
+matchmaking.start();
 
-const changeStream = Game.watch();
+// Abandon matches that have been idle for too long
+matchState.start();
+
+// Archive the standings of seasons that have ended
+seasons.start();
+
+// Send leaderboard updates to the game rooms as games change
+broadcast.start();
+
+// Sockets authenticate in the handshake, see middleware/socketAuth.js
+io.use(socketAuth);
+
+// Clients may leave out the acknowledgement callback, or send something else in its place
+const toAck = ack => (typeof ack === 'function' ? ack : () => {});
 
 // Run when client connects
 io.on('connection', socket => {
+  joinAuthRooms(socket);
+
+  // Leaderboards are public - API key sockets can only follow their own game
   socket.on('joinRoom', async gameName => {
-    console.log('joinroom', gameName)
-    socket.join(gameName.toLowerCase());
+    try {
+      const game = await Game.findOne({ name: String(gameName).toLowerCase() }).select('name');
+      if (!game) return;
+
+      if (socket.apiKey && socket.apiKey.game !== game.id) return;
+
+      socket.join(gameRoom(game.name));
+
+      // Send the current standings to the new socket, later changes come from the broadcaster
+      const scores = await loadScores(game.id);
+      if (scores) socket.emit('updateScore', scores);
+    } catch (err) {
+      console.log(err.message);
+    }
+  });
+
+  // Bracket updates are sent with the bracketUpdate event
+  socket.on('joinTournament', async tournamentId => {
+    try {
+      if (await Tournament.exists({ _id: tournamentId })) socket.join(tournamentRoom(tournamentId));
+    } catch (err) {
+      console.log(err.message);
+    }
+  });
+
+  // Match browser - changes to the public matches of the game are sent with the lobbyUpdate and lobbyRemoved events
+  socket.on('joinLobby', async (gameId, callback) => {
+    const ack = toAck(callback);
+    try {
+      const game = await Game.findOne({ _id: gameId }).select('_id');
+      if (!game) return ack({ msg: 'Game not found' });
+
+      if (socket.apiKey && socket.apiKey.game !== game.id) return ack({ msg: 'API key is not valid for this game' });
+
+      socket.join(lobbyRoom(game.id));
+
+      ack({ msg: 'Joined' });
+    } catch (err) {
+      console.log(err.message);
+      ack({ msg: 'Unable to join the lobby' });
+    }
+  });
+
+  socket.on('leaveLobby', (gameId, callback) => {
+    const ack = toAck(callback);
+    if (!socket.rooms.has(lobbyRoom(gameId))) return ack({ msg: 'Not in this lobby' });
+
+    socket.leave(lobbyRoom(gameId));
+
+    ack({ msg: 'Left the lobby' });
+  });
+
+  // Matchmaking - the formed match is sent with the matchFound event
+  socket.on('findMatch', async (payload, callback) => {
+    const ack = toAck(callback);
+    if (!socket.user) return ack({ msg: 'Authorization denied' });
 
     try {
-      const game = await Game.findOne({ name: gameName.toLowerCase() }).select(['players', 'name']).populate('players.user', 'username', User);
-  
-      if (game) {
-        if (game.players.length > 0 && !!game.populated('players.user')) io.to(game.name.toLowerCase()).emit('updateScore', game);
+      const { gameId } = payload || {};
+
+      const game = await Game.findOne({ _id: gameId });
+      if (!game) return ack({ msg: 'Game not found' });
+
+      if (!isInArray(game.players, socket.user.id)) return ack({ msg: 'User is not yet a player of this game' });
+
+      if (!(await Ticket.exists({ game: gameId, user: socket.user.id }))) await matchmaking.enqueue(game, socket.user.id);
+
+      ack({ msg: 'Queued' });
+    } catch (err) {
+      console.log(err.message);
+      ack({ msg: 'Unable to join the queue' });
+    }
+  });
+
+  socket.on('cancelFindMatch', async (payload, callback) => {
+    const ack = toAck(callback);
+    if (!socket.user) return ack({ msg: 'Authorization denied' });
+
+    try {
+      const { gameId } = payload || {};
+
+      await matchmaking.dequeue(gameId, socket.user.id);
+
+      ack({ msg: 'Left the queue' });
+    } catch (err) {
+      console.log(err.message);
+      ack({ msg: 'Unable to leave the queue' });
+    }
+  });
+
+  // Match rooms - players and the host get joins, team changes, transitions and scored items live.
+  // API key sockets can join the matches of their game.
+  socket.on('joinMatch', async (matchId, callback) => {
+    const ack = toAck(callback);
+    if (!socket.user && !socket.apiKey) return ack({ msg: 'Authorization denied' });
+
+    try {
+      const match = await Match.findOne({ _id: matchId });
+      if (!match) return ack({ msg: 'Match not found' });
+
+      if (socket.apiKey) {
+        if (socket.apiKey.game !== match.game.toString()) return ack({ msg: 'API key is not valid for this game' });
+      } else if (!isInArray(match.players, socket.user.id) && match.host.toString() !== socket.user.id) {
+        return ack({ msg: 'User is not a player of this match' });
+      } else if (match.isKicked(socket.user.id)) {
+        return ack({ msg: 'User was removed from this match' });
       }
 
+      socket.join(matchRoom(match.id));
+      if (socket.user) socket.to(matchRoom(match.id)).emit('playerConnected', { match: match.id, user: socket.user.id });
+
+      const teams = await Team.find({ match: match.id });
+
+      ack({
+        msg: 'Joined',
+        status: match.status,
+        seq: match.eventSeq,
+        players: match.players,
+        teams: getTeamStandings(match.players, teams),
+      });
     } catch (err) {
       console.log(err.message);
+      ack({ msg: 'Unable to join the match' });
     }
   });
 
-  changeStream.on('change', async (change) => {
+  socket.on('leaveMatch', (matchId, callback) => {
+    const ack = toAck(callback);
+    if (!socket.rooms.has(matchRoom(matchId))) return ack({ msg: 'Not in this match' });
+
+    socket.leave(matchRoom(matchId));
+    if (socket.user) socket.to(matchRoom(matchId)).emit('playerDisconnected', { match: matchId, user: socket.user.id });
+
+    ack({ msg: 'Left the match' });
+  });
+
+  // Same as POST api/matches/:id/play - users score for themselves, API keys with the play scope send the playerId.
+  // Acknowledged with the new score.
+  socket.on('play', async (payload, callback) => {
+    const ack = toAck(callback);
+
     try {
-      const game = await Game.findOne({ _id: change.documentKey._id }).select(['players', 'name']).populate('players.user', 'username', User);
+      const {
+        matchId,
+        playerId,
+        item,
+        clientSeq,
+      } = payload || {};
+
+      if (!socket.rooms.has(matchRoom(matchId))) return ack({ errors: [{ msg: 'Join the match first' }] });
+
+      if (socket.apiKey && !socket.apiKey.scopes.includes('play')) return ack({ errors: [{ msg: 'API key is missing the play scope' }] });
+
+      const match = await Match.findOne({ _id: matchId });
+      if (!match) return ack({ errors: [{ msg: 'Match not found' }] });
+
+      const seq = Number.isInteger(clientSeq) && clientSeq >= 0 ? clientSeq : undefined;
 
-      if (game.players.length > 0 && !!game.populated('players.user')) socket.to(game.name.toLowerCase()).emit('updateScore', game);
+      const scored = await play(match, socket.apiKey ? String(playerId) : socket.user.id, item, { clientSeq: seq });
+      if (scored.errors) return ack({ errors: scored.errors });
+
+      ack(scored);
     } catch (err) {
       console.log(err.message);
+      ack({ errors: [{ msg: 'Unable to score the item' }] });
     }
   });
 
+  socket.on('disconnecting', () => {
+    if (!socket.user) return;
+
+    socket.rooms.forEach(room => {
+      if (room.startsWith(matchRoom(''))) socket.to(room).emit('playerDisconnected', { match: room.slice(matchRoom('').length), user: socket.user.id });
+    });
+  });
+
   socket.on('disconnect', () => {
     console.log('Client disconnected');
   });